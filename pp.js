@@ -1,7 +1,7 @@
 /* Author House — Production House App (Static GitHub Pages)
-   - Projects + chapters
+   - Projects + chapters (IndexedDB, per-chapter records)
    - DOCX import/export
-   - Groq + Perplexity
+   - Groq + Perplexity + Ollama + any OpenAI-compatible endpoint
    - Token-efficient chunking + caching
    - Queue + rate limiting + retries
    - Publishing-house pipeline (Dev, Line, Copy, Market)
@@ -11,10 +11,16 @@
 const APP_KEY = "author-house:v1";
 const KEY_GROQ = "author-house:groqKey";
 const KEY_PPLX = "author-house:pplxKey";
-const KEY_MODE = "author-house:mode"; // groq | perplexity | local
+const KEY_OAI = "author-house:openaiKey";
+const KEY_MODE = "author-house:mode"; // groq | perplexity | local | ollama | openai | mock
 
 const els = (id) => document.getElementById(id);
-const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(abortError());
+  const onAbort = () => { clearTimeout(t); reject(abortError()); };
+  const t = setTimeout(() => { signal?.removeEventListener("abort", onAbort); resolve(); }, ms);
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
 
 // ------------------------------ 
 // Local Model Support
@@ -60,17 +66,40 @@ async function callLocalAI(messages, options = {}) {
     await initLocalModel(selectedModel);
   }
   
+  // WebLLM has no fetch to abort; stop generation instead
+  const stop = () => localModelInstance.interruptGenerate?.();
   try {
-    const completion = await localModelInstance.chat.completions.create({
+    const request = {
       messages,
       temperature: options.temperature || 0.7,
       max_tokens: options.max_tokens || 2000
-    });
+    };
+    options.signal?.throwIfAborted();
+    options.signal?.addEventListener("abort", stop, { once: true });
+    if (options.onToken) {
+      let full = "";
+      const chunks = await localModelInstance.chat.completions.create({ ...request, stream: true, stream_options: { include_usage: true } });
+      for await (const chunk of chunks) {
+        if (chunk.usage) options.onUsage?.(usageFrom(chunk.usage));
+        const delta = chunk.choices?.[0]?.delta?.content || "";
+        if (!delta) continue;
+        full += delta;
+        options.onToken(delta, full);
+      }
+      options.signal?.throwIfAborted();
+      return full;
+    }
+    const completion = await localModelInstance.chat.completions.create(request);
+    options.signal?.throwIfAborted();
+    options.onUsage?.(usageFrom(completion.usage));
     
     return completion.choices[0].message.content;
   } catch (err) {
+    if (isAbort(err) || options.signal?.aborted) throw abortError();
     log(`Local AI call error: ${err}`);
     throw err;
+  } finally {
+    options.signal?.removeEventListener("abort", stop);
   }
 }
 
@@ -109,7 +138,7 @@ function log(msg) {
   const st = store.get();
   st.logs.push(`[${new Date().toLocaleTimeString()}] ${msg}`);
   if (st.logs.length > 400) st.logs = st.logs.slice(-400);
-  store.set(st);
+  store.set(st, "logs");
   renderLogs();
 }
 function renderLogs() {
@@ -117,66 +146,930 @@ function renderLogs() {
 }
 
 /* -----------------------------
-   Storage
+   Storage (IndexedDB, one record per project / chapter / cache)
+   - store.get() returns the live in-memory state (loaded once by store.load())
+   - store.set(st, ...keys) schedules a debounced write of the records named
+     by keys ("chapters/<id>", "caches/<projectId>", "logs", "meta", ...);
+     without keys every record is compared, which is kept for rare edits
+   - falls back to the legacy localStorage blob if IndexedDB is unavailable
 --------------------------------*/
+const DB_NAME = "author-house";
+const DB_VERSION = 3;
+const DB_STORES = ["meta", "projects", "chapters", "caches", "logs", "revisions"];
+// retrieval vectors by chunk hash; not part of the state (see store.embeddings)
+const EMBEDDINGS_STORE = "embeddings";
+// records that carry a revision counter, so a write never silently replaces another tab's
+const VERSIONED_STORES = ["meta", "projects", "chapters", "caches"];
+const FLUSH_DELAY_MS = 300;
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const name of [...DB_STORES, EMBEDDINGS_STORE]) {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("IndexedDB upgrade blocked by another open tab."));
+  });
+}
+
+function readAllRecords(db) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(DB_STORES, "readonly");
+    const out = {};
+    for (const name of DB_STORES) {
+      out[name] = {};
+      const os = tx.objectStore(name);
+      const keysReq = os.getAllKeys();
+      const valsReq = os.getAll();
+      valsReq.onsuccess = () => {
+        keysReq.result.forEach((k, i) => { out[name][k] = valsReq.result[i]; });
+      };
+    }
+    tx.oncomplete = () => resolve(out);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Only the named records ("store/key"); a missing record comes back undefined
+function readRecords(db, keys) {
+  return new Promise((resolve, reject) => {
+    const names = [...new Set(keys.map(k => recordKey(k)[0]))].filter(name => DB_STORES.includes(name));
+    const out = {};
+    if (!names.length) return resolve(out);
+    const tx = db.transaction(names, "readonly");
+    for (const k of keys) {
+      const [name, key] = recordKey(k);
+      if (!names.includes(name)) continue;
+      const req = tx.objectStore(name).get(key);
+      req.onsuccess = () => { (out[name] = out[name] || {})[key] = req.result; };
+    }
+    tx.oncomplete = () => resolve(out);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+const withoutRev = ({ rev, ...rest }) => rest;
+
+function metaRecord(st) {
+  const { projects, logs, usage, ...meta } = st;
+  return meta;
+}
+
+function projectRecord(p) {
+  const { chapters, cache, revisions, ...rest } = p;
+  return rest;
+}
+
+// State -> { storeName: { key: record } }
+function splitState(st) {
+  const { projects, logs, usage } = st;
+  const recs = { meta: { state: metaRecord(st) }, projects: {}, chapters: {}, caches: {}, logs: { logs: logs || [], usage: usage || [] }, revisions: {} };
+  for (const p of Object.values(projects || {})) {
+    const { chapters, cache, revisions } = p;
+    recs.projects[p.id] = projectRecord(p);
+    recs.caches[p.id] = cache || {};
+    for (const c of Object.values(chapters || {})) {
+      recs.chapters[c.id] = { ...c, projectId: p.id };
+      // revisions of deleted chapters are dropped here
+      if (revisions?.[c.id]?.length) recs.revisions[c.id] = { projectId: p.id, list: revisions[c.id] };
+    }
+  }
+  return recs;
+}
+
+// "chapters/<id>" -> ["chapters", "<id>"]; "meta" and "logs" name their single/main record
+function recordKey(k) {
+  const [name, key] = k.split("/");
+  return [name, key || (name === "meta" ? "state" : name)];
+}
+
+// Like splitState, but only the named records; a record that no longer exists comes back undefined
+function pickRecords(st, keys) {
+  const recs = Object.fromEntries(DB_STORES.map(name => [name, {}]));
+  const owner = (cid) => Object.values(st.projects).find(p => p.chapters[cid]);
+  for (const k of keys) {
+    const [name, key] = recordKey(k);
+    const p = st.projects[key];
+    const c = name === "chapters" || name === "revisions" ? owner(key) : null;
+    recs[name][key] =
+      name === "meta" ? metaRecord(st)
+      : name === "logs" ? (key === "usage" ? st.usage : st.logs) || []
+      : name === "projects" ? p && projectRecord(p)
+      : name === "caches" ? p && (p.cache || {})
+      : name === "chapters" ? c && { ...c.chapters[key], projectId: c.id }
+      : c?.revisions?.[key]?.length ? { projectId: c.id, list: c.revisions[key] } : undefined;
+  }
+  return recs;
+}
+
+// { storeName: { key: record } } -> State
+function joinState(recs) {
+  const st = { ...withoutRev(recs.meta.state), projects: {}, logs: recs.logs?.logs || [], usage: recs.logs?.usage || [] };
+  for (const [pid, rest] of Object.entries(recs.projects || {})) {
+    const cache = recs.caches?.[pid];
+    st.projects[pid] = { ...withoutRev(rest), chapters: {}, cache: cache ? withoutRev(cache) : {}, revisions: {} };
+  }
+  for (const rec of Object.values(recs.chapters || {})) {
+    const { projectId, rev, ...c } = rec;
+    if (st.projects[projectId]) st.projects[projectId].chapters[c.id] = c;
+  }
+  for (const [cid, rec] of Object.entries(recs.revisions || {})) {
+    if (st.projects[rec.projectId]) st.projects[rec.projectId].revisions[cid] = rec.list;
+  }
+  return st;
+}
+
 const store = {
+  db: null,
+  state: null,
+  written: {},      // storeName -> Map(key -> serialized record last written)
+  revs: new Map(),  // "store/key" -> revision counter last read or written (VERSIONED_STORES)
+  dirty: new Set(), // record keys changed since the last flush
+  dirtyAll: false,  // a set() without keys: compare every record
+  flushTimer: null,
+  flushing: null,
+  legacy: false,    // true when IndexedDB is unavailable (private mode, old browsers)
+  vectors: new Map(), // chunkHash -> { model, vector } read or written this session
+
   get() {
+    // before (or without) a successful load this is an in-memory project that is never written
+    return this.state || (this.state = seedState());
+  },
+  set(st, ...keys) {
+    this.state = st;
+    if (this.legacy) {
+      localStorage.setItem(APP_KEY, JSON.stringify(st));
+      return;
+    }
+    if (keys.length) for (const k of keys) this.dirty.add(recordKey(k).join("/"));
+    else this.dirtyAll = true;
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => {
+      this.flush().catch(e => {
+        setStatus("Save failed");
+        // log() saves again; one entry per failure streak, not one per retry
+        if (!this.saveFailed) log(`Save failed: ${String(e?.message || e)}`);
+        this.saveFailed = true;
+      });
+    }, FLUSH_DELAY_MS);
+  },
+
+  async load() {
     try {
-      const raw = localStorage.getItem(APP_KEY);
-      if (!raw) return seedState();
-      return JSON.parse(raw);
-    } catch {
-      return seedState();
+      this.db = await openDb();
+    } catch (e) {
+      this.legacy = true;
+      this.accept(readLegacyBlob() || seedState());
+      log(`IndexedDB unavailable (${String(e?.message || e)}); saving to localStorage instead`);
+      return this.state;
+    }
+    const recs = await readAllRecords(this.db);
+    if (recs.meta.state) {
+      const st = joinState(recs);
+      this.accept(st);
+      this.remember(recs);
+      return st;
+    }
+
+    // First run on IndexedDB: migrate the old localStorage blob once
+    const legacy = readLegacyBlob();
+    this.accept(legacy || seedState());
+    this.dirtyAll = true;
+    await this.flush();
+    if (legacy) {
+      localStorage.removeItem(APP_KEY);
+      this.state.logs.push(`[${new Date().toLocaleTimeString()}] Migrated ${Object.keys(legacy.projects).length} project(s) from localStorage to IndexedDB`);
+      this.set(this.state);
+    }
+    return this.state;
+  },
+
+  // Run schema migrations before the state becomes live; a too-new state is rejected untouched.
+  accept(st) {
+    const from = Number(st.schemaVersion) || 0;
+    try {
+      if (migrateState(st)) {
+        st.logs.push(`[${new Date().toLocaleTimeString()}] Upgraded saved data from schema v${from} to v${st.schemaVersion}`);
+        this.state = st;
+        this.set(st);
+      }
+    } catch (e) {
+      e.backup = st;
+      throw e;
+    }
+    this.state = st;
+    return st;
+  },
+
+  remember(recs) {
+    this.written = {};
+    for (const name of DB_STORES) {
+      this.written[name] = new Map(Object.entries(recs[name] || {}).map(([k, v]) => [k, this.seen(name, k, v)]));
+    }
+  },
+
+  // Note a record as read from the database; returns it serialized as we'd write it
+  seen(name, key, rec) {
+    if (!VERSIONED_STORES.includes(name)) return JSON.stringify(rec);
+    this.revs.set(`${name}/${key}`, rec.rev || 0);
+    return JSON.stringify(withoutRev(rec));
+  },
+
+  // True when this tab has an edit to the record that is not saved yet
+  unsaved(name, key) {
+    if (!this.dirtyAll && !this.dirty.has(`${name}/${key}`)) return false;
+    const rec = pickRecords(this.state, [`${name}/${key}`])[name][key];
+    return JSON.stringify(rec) !== this.written[name]?.get(key);
+  },
+
+  // Write the dirty records that changed and delete removed ones in a single transaction.
+  // Versioned records carry a revision counter; one changed by another tab since we
+  // last read it is not overwritten but merged (chapters: resolveChapterConflict()).
+  flush() {
+    clearTimeout(this.flushTimer);
+    if (!this.db || !this.state) return Promise.resolve();
+    if (this.flushing) return this.flushing.then(() => this.flush());
+
+    const all = this.dirtyAll;
+    const recs = all ? splitState(this.state) : pickRecords(this.state, this.dirty);
+    this.dirty = new Set();
+    this.dirtyAll = false;
+    const puts = [];
+    const dels = [];
+    const next = {};
+    for (const name of DB_STORES) {
+      const prev = this.written[name] || new Map();
+      next[name] = new Map(prev);
+      for (const [k, v] of Object.entries(recs[name])) {
+        if (v === undefined) {
+          if (prev.has(k)) dels.push([name, k]);
+          continue;
+        }
+        const json = JSON.stringify(v);
+        next[name].set(k, json);
+        if (prev.get(k) !== json) puts.push([name, k, v]);
+      }
+      if (all) for (const k of prev.keys()) if (!(k in recs[name])) dels.push([name, k]);
+    }
+    for (const [name, k] of dels) next[name].delete(k);
+    if (!puts.length && !dels.length) return Promise.resolve();
+
+    const conflicts = [];
+    this.flushing = new Promise((resolve, reject) => {
+      const tx = this.db.transaction(DB_STORES, "readwrite");
+      const revs = new Map();
+      for (const [name, k, v] of puts) {
+        const os = tx.objectStore(name);
+        if (!VERSIONED_STORES.includes(name)) {
+          os.put(v, k);
+          continue;
+        }
+        const id = `${name}/${k}`;
+        const base = this.revs.get(id) || 0;
+        const req = os.get(k);
+        req.onsuccess = () => {
+          const cur = req.result;
+          if (cur && (cur.rev || 0) !== base) {
+            conflicts.push({ name, key: k, theirs: cur });
+            return;
+          }
+          os.put({ ...v, rev: base + 1 }, k);
+          revs.set(id, base + 1);
+        };
+      }
+      for (const [name, k] of dels) tx.objectStore(name).delete(k);
+      tx.oncomplete = () => {
+        // conflicted records keep their old "written" entry so they are retried after resolving
+        for (const { name, key } of conflicts) {
+          const prev = this.written[name]?.get(key);
+          prev === undefined ? next[name].delete(key) : next[name].set(key, prev);
+        }
+        this.written = next;
+        for (const [k, rev] of revs) this.revs.set(k, rev);
+        resolve();
+      };
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("IndexedDB write aborted"));
+    }).catch(e => {
+      // nothing was written: retry these records with the next flush
+      for (const [name, k] of [...puts, ...dels]) this.dirty.add(`${name}/${k}`);
+      throw e;
+    }).finally(() => { this.flushing = null; }).then(() => {
+      this.saveFailed = false;
+      const changed = {};
+      for (const [name, k] of [...puts, ...dels]) {
+        if (conflicts.some(x => x.name === name && x.key === k)) continue;
+        (changed[name] = changed[name] || []).push(k);
+      }
+      announceChange(changed);
+      if (conflicts.length) return this.resolveConflicts(conflicts);
+    });
+    return this.flushing;
+  },
+
+  async resolveConflicts(conflicts) {
+    for (const { name, key, theirs } of conflicts) {
+      const baseJson = this.written[name]?.get(key);
+      const base = baseJson ? JSON.parse(baseJson) : null;
+      const mine = pickRecords(this.state, [`${name}/${key}`])[name][key];
+      // from here on, what the other tab wrote is our base
+      this.written[name].set(key, this.seen(name, key, theirs));
+      if (name === "chapters") {
+        const { projectId, ...theirChapter } = withoutRev(theirs);
+        resolveChapterConflict(this.state, projectId, theirChapter, base);
+        continue;
+      }
+      applyRecord(this.state, name, key, mergeRecord(base, mine, withoutRev(theirs)));
+      if (name === "projects") await this.readMissingChapters(this.state.projects[key]);
+      // both tabs switching chapters is not worth a log line
+      const shared = (r) => name === "meta" ? { ...r, ...Object.fromEntries(TAB_LOCAL_KEYS.map(k => [k, 0])) } : r;
+      if (JSON.stringify(shared(mine)) !== JSON.stringify(shared(withoutRev(theirs)))) {
+        log(`Sync: merged this tab's changes with another tab's (${name === "meta" ? "settings" : `${name} of ${this.state.projects[key]?.title || key}`})`);
+      }
+    }
+    // a fork adds a chapter and both versions become revisions
+    this.dirtyAll = true;
+    renderAll();
+    return this.flush();
+  },
+
+  // A merged chapterOrder can name chapters the other tab added that we haven't read yet
+  async readMissingChapters(p) {
+    const missing = (p?.chapterOrder || []).filter(cid => !p.chapters[cid]);
+    if (!missing.length) return;
+    const recs = (await readRecords(this.db, missing.map(cid => `chapters/${cid}`))).chapters || {};
+    for (const [cid, rec] of Object.entries(recs)) {
+      if (!rec) continue;
+      applyRecord(this.state, "chapters", cid, rec);
+      this.written.chapters.set(cid, this.seen("chapters", cid, rec));
+    }
+    p.chapterOrder = p.chapterOrder.filter(cid => p.chapters[cid]);
+  },
+
+  // Re-read the records another tab wrote (all of them without keys) and patch them
+  // into the live state object, so running jobs keep saving the objects they hold.
+  // Our own pending edits are flushed first (surfacing conflicts); a record edited
+  // again meanwhile is left alone and merged by the next flush.
+  async reload(keys) {
+    if (!this.db || !this.state) return;
+    await this.flush();
+    const recs = keys ? await readRecords(this.db, keys) : await readAllRecords(this.db);
+    for (const name of DB_STORES) {
+      const incoming = { ...(recs[name] || {}) };
+      if (!keys) for (const k of this.written[name]?.keys() || []) if (!(k in incoming)) incoming[k] = undefined;
+      for (const [key, rec] of Object.entries(incoming)) {
+        if (this.unsaved(name, key)) continue;
+        applyRecord(this.state, name, key, rec);
+        const written = this.written[name] || (this.written[name] = new Map());
+        if (rec === undefined) {
+          written.delete(key);
+          this.revs.delete(`${name}/${key}`);
+        } else {
+          written.set(key, this.seen(name, key, rec));
+        }
+      }
+    }
+    fixActiveIds(this.state);
+  },
+
+  // Retrieval vectors are kept out of the state records, in their own object store
+  // keyed by chunk hash; without IndexedDB they last for the session only
+  async embeddings(hashes) {
+    const out = new Map();
+    const want = hashes.filter(h => !this.vectors.has(h));
+    if (this.db && want.length) {
+      await new Promise((resolve, reject) => {
+        const tx = this.db.transaction(EMBEDDINGS_STORE, "readonly");
+        for (const h of want) {
+          const req = tx.objectStore(EMBEDDINGS_STORE).get(h);
+          req.onsuccess = () => { if (req.result) this.vectors.set(h, req.result); };
+        }
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+      });
     }
+    for (const h of hashes) if (this.vectors.has(h)) out.set(h, this.vectors.get(h));
+    return out;
   },
-  set(st) {
-    localStorage.setItem(APP_KEY, JSON.stringify(st));
+
+  // Save new vectors and drop the ones no chunk in any project uses any more
+  saveEmbeddings(entries, live) {
+    for (const [h, rec] of entries) this.vectors.set(h, rec);
+    for (const h of this.vectors.keys()) if (!live.has(h)) this.vectors.delete(h);
+    if (!this.db) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(EMBEDDINGS_STORE, "readwrite");
+      const os = tx.objectStore(EMBEDDINGS_STORE);
+      for (const [h, rec] of entries) os.put(rec, h);
+      const keysReq = os.getAllKeys();
+      keysReq.onsuccess = () => { for (const h of keysReq.result) if (!live.has(h)) os.delete(h); };
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
   }
 };
 
+function readLegacyBlob() {
+  try {
+    const raw = localStorage.getItem(APP_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+/* -----------------------------
+   Multi-tab sync
+   - each flush announces the changed record keys on a BroadcastChannel
+     (falls back to a localStorage "storage" event ping)
+   - other tabs re-read those records from IndexedDB, patch them into their
+     live state in place and re-render
+   - concurrent edits to the same chapter: keep / theirs / merge / fork;
+     to projects, caches and settings: merged field by field (mergeRecord)
+--------------------------------*/
+const TAB_ID = crypto.randomUUID();
+const SYNC_KEY = "author-house:sync";
+const TAB_LOCAL_KEYS = ["activeProjectId", "activeChapterId", "activeSceneId"];
+let syncChannel = null;
+let syncQueue = null;   // Set of "store/key" other tabs changed, not re-read yet
+let syncRunning = null;
+
+function initSync() {
+  if (typeof BroadcastChannel !== "undefined") {
+    syncChannel = new BroadcastChannel(SYNC_KEY);
+    syncChannel.onmessage = e => onRemoteChange(e.data);
+  }
+  window.addEventListener("storage", e => {
+    if (e.key === SYNC_KEY && e.newValue && !syncChannel) onRemoteChange(JSON.parse(e.newValue));
+    // legacy (no IndexedDB) mode: the whole blob is the change
+    if (e.key === APP_KEY && store.legacy && e.newValue) {
+      applyState(store.get(), JSON.parse(e.newValue));
+      renderAll();
+    }
+  });
+}
+
+function announceChange(changed) {
+  if (!Object.keys(changed).length) return;
+  const msg = { from: TAB_ID, at: Date.now(), changed };
+  if (syncChannel) syncChannel.postMessage(msg);
+  else localStorage.setItem(SYNC_KEY, JSON.stringify(msg));
+}
+
+function onRemoteChange(msg) {
+  if (!msg || msg.from === TAB_ID) return;
+  syncQueue = syncQueue || new Set();
+  for (const [name, keys] of Object.entries(msg.changed || {})) {
+    for (const k of keys) syncQueue.add(`${name}/${k}`);
+  }
+  syncRunning = syncRunning || runSync().finally(() => { syncRunning = null; });
+}
+
+// One reload at a time; changes announced meanwhile are read by the next pass
+async function runSync() {
+  while (syncQueue) {
+    await sleep(150); // coalesce bursts (another tab typing)
+    if (selfTesting) continue; // the sandbox has swapped the state out
+    const keys = [...syncQueue];
+    syncQueue = null;
+    try {
+      await store.reload(keys);
+      renderAll();
+    } catch (e) {
+      log(`Sync reload failed: ${String(e?.message || e)}`);
+    }
+  }
+}
+
+// Replace an object's contents, keeping the object
+function replaceInPlace(target, src) {
+  for (const k of Object.keys(target)) if (!(k in src)) delete target[k];
+  return Object.assign(target, src);
+}
+
+// Patch one database record (undefined: deleted) into the live state, in place
+function applyRecord(st, name, key, rec) {
+  if (name === "logs") {
+    st[key] = rec || [];
+    return;
+  }
+  const body = rec && withoutRev(rec);
+  if (name === "meta") {
+    if (!body) return;
+    const local = Object.fromEntries(TAB_LOCAL_KEYS.map(k => [k, st[k]]));
+    for (const k of Object.keys(st)) if (!["projects", "logs", "usage"].includes(k) && !(k in body)) delete st[k];
+    Object.assign(st, body, local);
+  } else if (name === "projects") {
+    const p = st.projects[key];
+    if (!body) delete st.projects[key];
+    else if (p) replaceInPlace(p, { ...body, chapters: p.chapters, cache: p.cache, revisions: p.revisions });
+    else st.projects[key] = { ...body, chapters: {}, cache: emptyCache(), revisions: {} };
+  } else if (name === "caches") {
+    const p = st.projects[key];
+    if (p) p.cache = body ? replaceInPlace(p.cache || {}, body) : emptyCache();
+  } else if (name === "chapters" || name === "revisions") {
+    const p = body ? st.projects[body.projectId] : Object.values(st.projects).find(x => x[name]?.[key]);
+    if (!p) return;
+    if (!body) delete p[name][key];
+    else if (name === "revisions") p.revisions[key] = body.list;
+    else {
+      const { projectId, ...c } = body;
+      if (p.chapters[key]) replaceInPlace(p.chapters[key], c);
+      else p.chapters[key] = c;
+    }
+  }
+}
+
+// Patch a whole other state (legacy localStorage mode) into the live one
+function applyState(st, next) {
+  const cur = splitState(st);
+  const recs = splitState(next);
+  for (const name of DB_STORES) {
+    for (const k of Object.keys(cur[name])) if (!(k in recs[name])) applyRecord(st, name, k, undefined);
+    for (const [k, rec] of Object.entries(recs[name])) applyRecord(st, name, k, rec);
+  }
+  fixActiveIds(st);
+}
+
+// The active project/chapter may have been deleted by another tab
+function fixActiveIds(st) {
+  if (!st.projects[st.activeProjectId]) st.activeProjectId = Object.keys(st.projects)[0];
+  const p = st.projects[st.activeProjectId];
+  if (p && !p.chapters[st.activeChapterId]) {
+    st.activeChapterId = p.chapterOrder[0];
+    st.activeSceneId = "";
+  }
+}
+
+const isPlainObject = (x) => !!x && typeof x === "object" && !Array.isArray(x);
+
+// Three-way merge of a record both tabs changed: a field changed on one side takes
+// that side; objects changed on both are merged key by key, lists item by item;
+// for anything else changed on both sides this tab's value wins.
+function mergeRecord(base, mine, theirs) {
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  if (same(mine, base)) return theirs;
+  if (same(theirs, base) || same(mine, theirs)) return mine;
+  if (Array.isArray(mine) && Array.isArray(theirs)) return mergeLists(Array.isArray(base) ? base : [], mine, theirs);
+  if (!isPlainObject(mine) || !isPlainObject(theirs)) return mine;
+  const b = isPlainObject(base) ? base : {};
+  const out = {};
+  for (const k of new Set([...Object.keys(mine), ...Object.keys(theirs)])) {
+    const v = mergeRecord(b[k], mine[k], theirs[k]);
+    if (v !== undefined) out[k] = v;
+  }
+  return out;
+}
+
+// Their list, minus items this tab removed, plus items this tab added (after the item
+// they follow here). Used for chapterOrder, timeline events, chat messages.
+function mergeLists(base, mine, theirs) {
+  const key = (x) => JSON.stringify(x);
+  const inBase = new Set(base.map(key));
+  const inMine = new Set(mine.map(key));
+  const out = theirs.filter(x => !inBase.has(key(x)) || inMine.has(key(x)));
+  const keys = out.map(key);
+  mine.forEach((x, i) => {
+    const k = key(x);
+    if (inBase.has(k) || keys.includes(k)) return;
+    const prev = mine.slice(0, i).map(key).reverse().find(y => keys.includes(y));
+    const at = prev === undefined ? 0 : keys.indexOf(prev) + 1;
+    out.splice(at, 0, x);
+    keys.splice(at, 0, k);
+  });
+  return out;
+}
+
+// Called by store.flush() when another tab saved this chapter since we last read it.
+// base is the chapter as we last read/wrote it (common ancestor), or null.
+function resolveChapterConflict(st, projectId, theirs, base) {
+  const p = st.projects[projectId];
+  const mine = p?.chapters[theirs.id];
+  if (!mine) return;
+  if (mine.text === theirs.text && mine.title === theirs.title) return;
+
+  const choice = (prompt(
+    `"${mine.title}" was also edited in another tab.\n\n` +
+    "Type KEEP to keep this tab's version, THEIRS to take the other tab's version, " +
+    "MERGE to combine both (differences are marked), or FORK to save this tab's version as a new chapter. " +
+    "Cancel keeps this tab's version.",
+    "MERGE"
+  ) || "KEEP").trim().toUpperCase();
+
+  // whatever happens, neither version is lost
+  addRevision(p, mine.id, theirs.text, { label: "Other tab's version", source: "sync" });
+  addRevision(p, mine.id, mine.text, { label: "This tab's version", source: "sync" });
+
+  // the chapter object is replaced in place: running jobs may hold it
+  if (choice === "THEIRS") {
+    replaceInPlace(mine, theirs);
+    log(`Sync conflict on ${mine.title}: took the other tab's version`);
+  } else if (choice === "MERGE") {
+    mine.text = mergeTexts(base?.text || "", mine.text || "", theirs.text || "");
+    log(`Sync conflict on ${mine.title}: merged both versions`);
+  } else if (choice === "FORK") {
+    const cid = crypto.randomUUID();
+    p.chapters[cid] = { ...mine, id: cid, title: `${mine.title} (fork)` };
+    p.chapterOrder.splice(p.chapterOrder.indexOf(mine.id) + 1, 0, cid);
+    replaceInPlace(mine, theirs);
+    log(`Sync conflict on ${mine.title}: forked this tab's version into a new chapter`);
+  } else {
+    log(`Sync conflict on ${mine.title}: kept this tab's version`);
+  }
+}
+
+// Three-way line merge. Changes made on only one side are applied cleanly;
+// overlapping (or touching) changes keep both sides between conflict markers.
+function mergeTexts(base, mine, theirs) {
+  if (mine === theirs) return mine;
+  if (base === mine) return theirs;
+  if (base === theirs) return mine;
+
+  // hunks replace base lines [start, end) with `added`
+  const hunks = (ops, side) => {
+    const out = [];
+    let i = 0;
+    let h = null;
+    for (const o of ops) {
+      if (o.op === "=") { h = null; i++; continue; }
+      if (!h) out.push(h = { side, start: i, end: i, added: [] });
+      if (o.op === "-") { h.end++; i++; } else h.added.push(o.text);
+    }
+    return out;
+  };
+  const B = (base || "").split("\n");
+  const all = [...hunks(diffLines(base, mine), "mine"), ...hunks(diffLines(base, theirs), "theirs")]
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const apply = (list, start, end) => {
+    const out = [];
+    let pos = start;
+    for (const h of list) {
+      out.push(...B.slice(pos, h.start), ...h.added);
+      pos = h.end;
+    }
+    out.push(...B.slice(pos, end));
+    return out;
+  };
+
+  const out = [];
+  let pos = 0;
+  for (let k = 0; k < all.length;) {
+    const cluster = [all[k]];
+    let end = all[k].end;
+    for (k++; k < all.length && all[k].start <= end; k++) {
+      cluster.push(all[k]);
+      end = Math.max(end, all[k].end);
+    }
+    const start = cluster[0].start;
+    out.push(...B.slice(pos, start));
+    const m = apply(cluster.filter(h => h.side === "mine"), start, end);
+    const t = apply(cluster.filter(h => h.side === "theirs"), start, end);
+    const sides = new Set(cluster.map(h => h.side));
+    if (sides.size === 1 || m.join("\n") === t.join("\n")) out.push(...(sides.has("mine") ? m : t));
+    else out.push("<<<<<<< this tab", ...m, "=======", ...t, ">>>>>>> other tab");
+    pos = end;
+  }
+  out.push(...B.slice(pos));
+  return out.join("\n");
+}
+
+// Every new project (seed, "New project", book planner) starts from this shape
+function newProject(title, chapterTitles = ["Chapter 1"]) {
+  const chapters = {};
+  for (const t of chapterTitles) {
+    const id = crypto.randomUUID();
+    chapters[id] = { id, title: t, text: "" };
+  }
+  return {
+    id: crypto.randomUUID(),
+    title,
+    chapters,
+    chapterOrder: Object.keys(chapters),
+    cache: emptyCache(),
+    revisions: {},
+    plannerChat: [],
+    prompts: {},
+    bible: emptyBible(),
+    timeline: emptyTimeline(),
+    bookPlan: null
+  };
+}
+
 function seedState() {
-  const pid = crypto.randomUUID();
-  const cid = crypto.randomUUID();
+  const p = newProject("My Book Project");
   const st = {
-    activeProjectId: pid,
-    activeChapterId: cid,
-    projects: {
-      [pid]: {
-        id: pid,
-        title: "My Book Project",
-        chapters: {
-          [cid]: { id: cid, title: "Chapter 1", text: "" }
-        },
-        chapterOrder: [cid],
-        // caches keyed by chunk hash
-        cache: {
-          summaries: {},    // chapterId -> summary text
-          styleGuide: "",   // project-wide
-          characterBible: "" // project-wide
-        }
-      }
-    },
-    snapshot: "",
+    schemaVersion: SCHEMA_VERSION,
+    activeProjectId: p.id,
+    activeChapterId: p.chapterOrder[0],
+    projects: { [p.id]: p },
     logs: [],
+    usage: [],
     analysis: null,
     researchOut: "",
     pipelineOut: "",
-    settings: {
-      groqModel: "llama-3.1-70b-versatile",
-      pplxModel: "sonar-pro",
-      maxChunkTokens: 1200,
-      chunkOutTokens: 700,
-      minIntervalMs: 900,
-      maxConcurrent: 2,
-      pipelineBrief:
-        "Run a professional publishing-house pass. Output sections: Developmental Edit, Line Edit, Copy Edit, Market/Positioning. " +
-        "Be direct and actionable. Use bullet points. Flag plot holes, pacing, character consistency, clarity, repetition, grammar, formatting. " +
-        "Suggest specific fixes. If unsure, say so."
-    }
+    settings: defaultSettings()
   };
   return st;
 }
 
+function defaultSettings() {
+  return {
+    groqModel: "llama-3.1-70b-versatile",
+    pplxModel: "sonar-pro",
+    maxChunkTokens: 1200,
+    contextBudget: 1200,  // tokens of style guide / characters / outline / summaries for continue + line edit; 0 = off
+    retrievalPassages: 4, // related passages pulled from the retrieval index per request; 0 = off
+    retrievalEmbeddings: false,
+    embeddingModel: "snowflake-arctic-embed-m-q0f32-MLC-b4",
+    chunkOutTokens: 700,
+    minIntervalMs: 900,
+    maxConcurrent: 2,
+    ollamaBaseUrl: "http://localhost:11434",
+    ollamaModel: "llama3.1",
+    oaiBaseUrl: "http://localhost:1234/v1",
+    oaiModel: "",
+    oaiHeaders: "",
+    routes: { research: "perplexity" }, // feature id -> provider id; missing/"" = AI Mode
+    fallbacks: [],                      // provider ids tried in order when the routed one fails
+    mock: { latencyMs: 300, failEvery: 0, failKind: "rate_limit", malformedJson: false },
+    prompts: {},                        // global prompt overrides (see Prompt templates)
+    quickActions: defaultQuickActions(),
+    // USD per 1M tokens; models without an entry count as free
+    modelPrices: {
+      "llama-3.1-70b-versatile": { input: 0.59, output: 0.79 },
+      "llama-3.3-70b-versatile": { input: 0.59, output: 0.79 },
+      "llama-3.1-8b-instant": { input: 0.05, output: 0.08 },
+      "sonar": { input: 1, output: 1 },
+      "sonar-pro": { input: 3, output: 15 }
+    },
+    monthlyBudget: 0,     // USD; 0 = no budget
+    budgetMode: "warn",   // "warn" | "block" when a large job would exceed it
+    pipelineBrief:
+      "Run a professional publishing-house pass. Output sections: Developmental Edit, Line Edit, Copy Edit, Market/Positioning. " +
+      "Be direct and actionable. Use bullet points. Flag plot holes, pacing, character consistency, clarity, repetition, grammar, formatting. " +
+      "Suggest specific fixes. If unsure, say so."
+  };
+}
+
+// scope: selection | chapter | tail (last tailWords words); output: replace | insert | panel;
+// provider: "" = the Quick actions route / AI Mode; model: "" = that provider's model from Settings
+function defaultQuickActions() {
+  const action = (id, name, template, scope = "selection", output = "replace") =>
+    ({ id, name, template, scope, tailWords: 600, output, provider: "", model: "" });
+  return [
+    action("qa-tense", "Make this more tense", "Rewrite this passage to raise the tension: shorter sentences, sharper stakes, more urgency. Keep the events and POV.\n\n{{input}}"),
+    action("qa-present", "Convert to present tense", "Convert this passage to present tense. Change nothing else.\n\n{{input}}"),
+    action("qa-expand", "Expand beat into a scene", "Expand this beat into a full scene with action, dialogue and sensory detail, in the book's style.\n\nStyle guide:\n{{styleGuide}}\n\nBeat:\n{{input}}", "selection", "insert")
+  ];
+}
+
+function emptyCache() {
+  return {
+    summaries: {},      // chapterId -> summary text
+    sceneSummaries: {}, // sceneId -> summary text
+    styleGuide: "",     // project-wide
+    characterBible: "", // project-wide
+    plotOutline: "",    // from the book planner
+    pipelineCache: {},  // `${role}:${chunkHash}:${briefHash}` -> report section
+    bookNotes: {},      // "styleGuide" | "characterBible" -> chapterId -> { hash, text }
+    chapterFacts: {}    // chapterId -> { hash, facts } (continuity checker)
+  };
+}
+
+/* -----------------------------
+   Schema versioning + migrations
+   - every saved state carries schemaVersion
+   - migrations run in order on load; each upgrades from (version - 1) to version
+   - state from a newer app version is never loaded or written
+--------------------------------*/
+const SCHEMA_VERSION = 17;
+
+// Only for changes to the shape of saved data: new settings keys are filled in
+// by backfillSettings() on every load and need no migration.
+const MIGRATIONS = [
+  {
+    version: 1,
+    // Unversioned saves: backfill fields that later features added ad hoc
+    up(st) {
+      st.logs = Array.isArray(st.logs) ? st.logs : [];
+      st.projects = st.projects || {};
+      for (const p of Object.values(st.projects)) {
+        p.chapters = p.chapters || {};
+        p.chapterOrder = (p.chapterOrder || Object.keys(p.chapters)).filter(cid => p.chapters[cid]);
+        p.cache = { ...emptyCache(), ...(p.cache || {}) };
+        p.bookPlan = p.bookPlan || null;
+      }
+    }
+  },
+  {
+    version: 2,
+    // Per-chapter revision history replaces the single global snapshot
+    up(st) {
+      for (const p of Object.values(st.projects)) p.revisions = p.revisions || {};
+      const p = st.projects[st.activeProjectId];
+      if (st.snapshot && p?.chapters[st.activeChapterId]) {
+        p.revisions[st.activeChapterId] = [
+          { id: crypto.randomUUID(), at: Date.now(), label: "Snapshot (migrated)", source: "manual", text: st.snapshot }
+        ];
+      }
+      delete st.snapshot;
+    }
+  },
+  {
+    version: 3,
+    // Planner chat is saved per project instead of living only in memory
+    up(st) {
+      for (const p of Object.values(st.projects)) p.plannerChat = p.plannerChat || [];
+    }
+  },
+  {
+    version: 7,
+    // Token usage log, model prices and monthly budget
+    up(st) {
+      st.usage = Array.isArray(st.usage) ? st.usage : [];
+    }
+  },
+  {
+    version: 10,
+    // Editable prompt templates, global and per project
+    up(st) {
+      for (const p of Object.values(st.projects)) p.prompts = p.prompts || {};
+    }
+  },
+  {
+    version: 14,
+    // Structured story bible, seeded from the saved character bible where it parses
+    up(st) {
+      for (const p of Object.values(st.projects)) {
+        p.cache = { ...emptyCache(), ...(p.cache || {}) };
+        p.bible = p.bible || emptyBible();
+        const json = p.bible.entities.length ? null : parseJsonLoose(p.cache.characterBible);
+        if (json) mergeBible(p.bible, bibleEntitiesFrom(json));
+      }
+    }
+  },
+  {
+    version: 15,
+    // Story timeline
+    up(st) {
+      for (const p of Object.values(st.projects)) p.timeline = p.timeline || emptyTimeline();
+    }
+  },
+  {
+    version: 16,
+    // Retrieval vectors moved out of the project cache into their own store
+    up(st) {
+      for (const p of Object.values(st.projects)) delete p.cache?.embeddings;
+    }
+  },
+  {
+    version: 17,
+    // Scene summaries get their own map instead of sharing the chapter one
+    up(st) {
+      for (const p of Object.values(st.projects)) {
+        p.cache = { ...emptyCache(), ...(p.cache || {}) };
+        const sceneIds = new Set(Object.values(p.chapters || {}).flatMap(c => (c.scenes || []).map(s => s.id)));
+        for (const [id, text] of Object.entries(p.cache.summaries)) {
+          if (p.chapters?.[id] || !sceneIds.has(id)) continue;
+          p.cache.sceneSummaries[id] = text;
+          delete p.cache.summaries[id];
+        }
+      }
+    }
+  }
+];
+
+// Settings keys added since the state was saved get their defaults
+function backfillSettings(st) {
+  st.settings = { ...defaultSettings(), ...(st.settings || {}) };
+}
+
+function migrateState(st) {
+  const from = Number(st.schemaVersion) || 0;
+  if (from > SCHEMA_VERSION) {
+    const err = new Error(
+      `Your saved data is from a newer version of Author House (schema v${from}; this app supports v${SCHEMA_VERSION}). ` +
+      "It was not loaded, to avoid damaging it. Please update the app."
+    );
+    err.code = "SCHEMA_TOO_NEW";
+    throw err;
+  }
+  for (const m of MIGRATIONS) {
+    if (m.version <= from) continue;
+    m.up(st);
+    st.schemaVersion = m.version;
+  }
+  st.schemaVersion = SCHEMA_VERSION;
+  backfillSettings(st);
+  return st.schemaVersion !== from;
+}
+
 /* -----------------------------
    Token estimation + chunking
 --------------------------------*/
@@ -238,138 +1131,944 @@ function hashText(s) {
 
 /* -----------------------------
    Rate limiter + queue + retries
+   - a rate-limit error slows the limiter down (doubles minIntervalMs and
+     pauses the queue for the server's retry delay); successes ease it back
+     toward the configured interval
 --------------------------------*/
+const MAX_INTERVAL_MS = 30000;
+
 class RateLimiter {
   constructor({ minIntervalMs = 900, maxConcurrent = 2 } = {}) {
+    this.baseIntervalMs = minIntervalMs;
     this.minIntervalMs = minIntervalMs;
     this.maxConcurrent = maxConcurrent;
     this.active = 0;
     this.last = 0;
+    this.pausedUntil = 0;
     this.q = [];
+    this.onChange = null;
+  }
+  throttle(retryAfterMs = 0) {
+    const before = this.minIntervalMs;
+    this.minIntervalMs = Math.min(MAX_INTERVAL_MS, Math.max(1000, before * 2));
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + retryAfterMs);
+    log(`Rate limited: request interval ${before}ms → ${this.minIntervalMs}ms` +
+      (retryAfterMs ? `, pausing ${Math.ceil(retryAfterMs / 1000)}s` : ""));
   }
-  schedule(fn) {
+  relax() {
+    if (this.minIntervalMs <= this.baseIntervalMs) return;
+    this.minIntervalMs = Math.max(this.baseIntervalMs, Math.round(this.minIntervalMs * 0.9));
+  }
+  // tag: optional owner (a job) so its queued entries can be dropped together
+  schedule(fn, tag = null) {
     return new Promise((resolve, reject) => {
-      this.q.push({ fn, resolve, reject });
+      if (tag?.signal?.aborted) return reject(abortError());
+      this.q.push({ fn, resolve, reject, tag });
+      this.onChange?.();
       this.run();
     });
   }
+  drop(tag) {
+    const dropped = this.q.filter(e => e.tag === tag);
+    this.q = this.q.filter(e => e.tag !== tag);
+    dropped.forEach(e => e.reject(abortError()));
+    this.onChange?.();
+    return dropped.length;
+  }
+  queued(tag) {
+    return this.q.filter(e => e.tag === tag).length;
+  }
   async run() {
     if (this.active >= this.maxConcurrent) return;
     if (!this.q.length) return;
 
     const now = Date.now();
-    const wait = Math.max(0, this.minIntervalMs - (now - this.last));
+    const wait = Math.max(0, this.minIntervalMs - (now - this.last), this.pausedUntil - now);
     if (wait) {
       setTimeout(() => this.run(), wait);
       return;
     }
 
-    const job = this.q.shift();
+    const entry = this.q.shift();
+    if (entry.tag?.signal?.aborted) {
+      entry.reject(abortError());
+      this.run();
+      return;
+    }
     this.active++;
     this.last = Date.now();
+    this.onChange?.();
     try {
-      const out = await job.fn();
-      job.resolve(out);
+      const out = await entry.fn();
+      this.relax();
+      entry.resolve(out);
     } catch (e) {
-      job.reject(e);
+      if (e?.kind === "rate_limit") this.throttle(e.retryAfterMs || 0);
+      entry.reject(e);
     } finally {
       this.active--;
+      this.onChange?.();
       this.run();
     }
   }
 }
 
-async function withRetries(fn, tries = 2) {
-  let lastErr = null;
-  for (let i = 0; i <= tries; i++) {
+// Retries only what can succeed later (rate limits, server and network errors);
+// an error nobody classified (no err.kind, e.g. a parse failure) is not retried.
+// The server's retry delay wins; otherwise exponential backoff with jitter.
+async function withRetries(fn, tries = 2, signal) {
+  for (let i = 0; ; i++) {
     try {
       return await fn();
     } catch (e) {
-      lastErr = e;
-      await sleep(500 + i * 800);
+      if (isAbort(e)) throw e; // cancelled: never retry
+      if (i >= tries || !e?.retryable) throw e;
+      const backoff = Math.min(MAX_INTERVAL_MS, 1000 * 2 ** i);
+      const delay = e?.retryAfterMs
+        ? e.retryAfterMs + Math.random() * 250
+        : backoff / 2 + Math.random() * backoff / 2;
+      log(`Retrying in ${(delay / 1000).toFixed(1)}s (${e?.kind || "error"}, attempt ${i + 2}/${tries + 1})`);
+      await sleep(delay, signal);
     }
   }
-  throw lastErr;
 }
 
 /* -----------------------------
-   LLM Calls (Groq + Perplexity)
+   AI error classification
+   - err.kind: auth | rate_limit | quota | server | network | content_filter | request
+   - err.retryable: false for errors that cannot succeed on retry
+   - err.retryAfterMs: the server's requested wait (Retry-After or Groq
+     x-ratelimit-reset-* headers), when known
 --------------------------------*/
-function getGroqKey() { return localStorage.getItem(KEY_GROQ) || ""; }
-function getPplxKey() { return localStorage.getItem(KEY_PPLX) || ""; }
-
-async function callGroqChat(messages, maxTokens) {
-  const key = getGroqKey();
-  if (!key) throw new Error("Missing Groq API key (Settings tab).");
-
-  const st = store.get();
-  const model = st.settings.groqModel;
-
-  const res = await fetch("https://api.groq.com/openai/v1/chat/completions", {
-    method: "POST",
-    headers: { "Content-Type": "application/json", "Authorization": `Bearer ${key}` },
-    body: JSON.stringify({
-      model,
-      messages,
-      max_tokens: maxTokens,
-      temperature: 0.7
-    })
-  });
+const RETRYABLE_KINDS = new Set(["rate_limit", "server", "network"]);
+
+function aiError(message, { kind, status = 0, retryAfterMs = 0 } = {}) {
+  const err = new Error(message);
+  err.kind = kind;
+  err.status = status;
+  err.retryable = RETRYABLE_KINDS.has(kind);
+  err.retryAfterMs = retryAfterMs;
+  return err;
+}
 
-  if (!res.ok) {
-    const txt = await res.text();
-    throw new Error(`Groq error ${res.status}: ${txt}`);
+function classifyHttpError(status, body) {
+  const text = String(body || "").toLowerCase();
+  if (status === 401 || status === 403) return "auth";
+  if (status === 429 || status === 402) {
+    // an exhausted plan or credit balance will not recover by waiting
+    return /insufficient_quota|quota exceeded|exceeded your current quota|billing|credit/.test(text) || status === 402
+      ? "quota"
+      : "rate_limit";
   }
-  const data = await res.json();
-  return data?.choices?.[0]?.message?.content ?? "";
+  if (status === 408 || status === 409 || status >= 500) return "server";
+  if (/content[_ ]?filter|content[_ ]?policy|moderation|safety/.test(text)) return "content_filter";
+  return "request";
 }
 
-async function callPerplexityChat(messages) {
-  const key = getPplxKey();
-  if (!key) throw new Error("Missing Perplexity API key (Settings tab).");
+// "2m59.56s", "7.66s", "250ms" (Groq reset headers) → milliseconds
+function parseDuration(v) {
+  const m = String(v || "").trim().match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+(?:\.\d+)?)ms)?$/);
+  if (!m || !m[0]) return 0;
+  const [, h = 0, min = 0, sec = 0, ms = 0] = m.map(x => Number(x) || 0);
+  return Math.round(((h * 60 + min) * 60 + sec) * 1000 + ms);
+}
 
-  const st = store.get();
-  const model = st.settings.pplxModel;
+function retryAfterMs(headers) {
+  const ra = headers.get("retry-after");
+  if (ra) {
+    const secs = Number(ra);
+    if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+    const at = Date.parse(ra);
+    if (!Number.isNaN(at)) return Math.max(0, at - Date.now());
+  }
+  // Groq: wait for whichever budget (requests/tokens) ran out
+  const waits = ["requests", "tokens"]
+    .filter(k => headers.get(`x-ratelimit-remaining-${k}`) === "0")
+    .map(k => parseDuration(headers.get(`x-ratelimit-reset-${k}`)));
+  return waits.length ? Math.max(...waits) : 0;
+}
 
-  const res = await fetch("https://api.perplexity.ai/chat/completions", {
-    method: "POST",
-    headers: { "Content-Type": "application/json", "Authorization": `Bearer ${key}` },
-    body: JSON.stringify({ model, messages })
+async function httpError(name, res) {
+  const txt = await res.text().catch(() => "");
+  const kind = classifyHttpError(res.status, txt);
+  return aiError(`${name} error ${res.status}: ${txt}`, {
+    kind,
+    status: res.status,
+    retryAfterMs: kind === "rate_limit" ? retryAfterMs(res.headers) : 0
   });
-
-  if (!res.ok) {
-    const txt = await res.text();
-    throw new Error(`Perplexity error ${res.status}: ${txt}`);
-  }
-  const data = await res.json();
-  const content = data?.choices?.[0]?.message?.content ?? "";
-  const citations = data?.citations ?? [];
-  return citations.length
-    ? `${content}\n\nSources:\n${citations.map(c => `- ${c}`).join("\n")}`
-    : content;
 }
 
-// Unified AI call function that routes to appropriate provider
-async function callAI(messages, maxTokens = 2000) {
-  const mode = getAIMode();
-  
-  log(`Calling AI in ${mode} mode...`);
-  
+// fetch() that rejects with a classified network error instead of a bare TypeError
+async function aiFetch(name, url, opts) {
   try {
-    if (mode === 'local') {
-      return await callLocalAI(messages, { max_tokens: maxTokens });
-    } else if (mode === 'perplexity') {
-      return await callPerplexityChat(messages);
-    } else {
-      // Default to Groq
-      return await callGroqChat(messages, maxTokens);
-    }
-  } catch (err) {
-    log(`AI call failed in ${mode} mode: ${err.message}`);
-    throw err;
+    return await fetch(url, opts);
+  } catch (e) {
+    if (isAbort(e)) throw e;
+    throw aiError(`${name} not reachable: ${e?.message || e}`, { kind: "network" });
   }
 }
 
+function checkFinish(name, finishReason) {
+  if (finishReason === "content_filter") {
+    throw aiError(`${name} blocked the response (content filter).`, { kind: "content_filter" });
+  }
+}
+
+function abortError() {
+  return new DOMException("Job cancelled", "AbortError");
+}
+
+function isAbort(e) {
+  return e?.name === "AbortError";
+}
+
+/* -----------------------------
+   Jobs (visible, cancellable AI work)
+   - every AI feature run is a job with its own AbortController
+   - job.schedule(fn) queues on the rate limiter, tagged with the job
+   - cancel aborts in-flight requests and drops the job's queued ones;
+     results already saved by the feature stay saved
+--------------------------------*/
+const jobs = new Map();
+let jobSeq = 0;
+
+function startJob(name) {
+  const controller = new AbortController();
+  const job = {
+    id: ++jobSeq,
+    name,
+    controller,
+    signal: controller.signal,
+    limiter: rate,
+    requests: 0,
+    done: 0,
+    schedule(fn) {
+      job.requests++;
+      renderJobs();
+      return job.limiter.schedule(fn, job).finally(() => { job.done++; renderJobs(); });
+    }
+  };
+  jobs.set(job.id, job);
+  renderJobs();
+  return job;
+}
+
+// A job can be finished early, before a follow-up step; the call in finally is then a no-op
+function finishJob(job) {
+  if (job.finished) return;
+  job.finished = true;
+  jobs.delete(job.id);
+  renderJobs();
+}
+
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job || job.signal.aborted) return;
+  job.controller.abort();
+  const dropped = job.limiter.drop(job);
+  log(`Cancelled job: ${job.name} (${dropped} queued request(s) dropped)`);
+  toast(`Cancelling ${job.name}…`);
+  renderJobs();
+}
+
+function renderJobs() {
+  const box = els("jobList");
+  if (!box) return;
+  box.innerHTML = "";
+  if (!jobs.size) {
+    box.textContent = "No running jobs.";
+    return;
+  }
+  for (const job of jobs.values()) {
+    const row = document.createElement("div");
+    row.className = "row jobRow";
+    const info = document.createElement("div");
+    info.className = "small";
+    const queued = job.limiter.queued(job);
+    info.textContent = `${job.name} — ${job.done}/${job.requests} requests${queued ? `, ${queued} queued` : ""}`;
+    const btn = document.createElement("button");
+    btn.className = "btn danger";
+    btn.textContent = job.signal.aborted ? "Cancelling…" : "Cancel";
+    btn.disabled = job.signal.aborted;
+    btn.onclick = () => cancelJob(job.id);
+    const spacer = document.createElement("div");
+    spacer.className = "spacer";
+    row.append(info, spacer, btn);
+    box.appendChild(row);
+  }
+}
+
+/* -----------------------------
+   LLM Calls (Groq + Perplexity + Ollama + OpenAI-compatible)
+--------------------------------*/
+function getGroqKey() { return localStorage.getItem(KEY_GROQ) || ""; }
+function getPplxKey() { return localStorage.getItem(KEY_PPLX) || ""; }
+function getOaiKey() { return localStorage.getItem(KEY_OAI) || ""; }
+
+// Yields the text lines of a streamed response body as they arrive.
+// A consumer that stops early (break, throw) cancels the rest of the body.
+async function* readLines(res) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  let finished = false;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buf += decoder.decode(value, { stream: true });
+      let nl;
+      while ((nl = buf.indexOf("\n")) >= 0) {
+        yield buf.slice(0, nl).replace(/\r$/, "");
+        buf = buf.slice(nl + 1);
+      }
+    }
+    finished = true;
+    if (buf.trim()) yield buf;
+  } finally {
+    if (!finished) reader.cancel().catch(() => {});
+  }
+}
+
+// An error sent inside a stream ("event: error", or a payload with an "error" field)
+function streamError(name, payload) {
+  const e = payload?.error ?? payload;
+  const message = typeof e === "string" ? e : e?.message || JSON.stringify(e);
+  const status = Number(e?.status || e?.code) || 0;
+  const text = `${e?.type || ""} ${e?.code || ""} ${message}`;
+  const kind = status ? classifyHttpError(status, text)
+    : /rate.?limit/i.test(text) ? "rate_limit"
+    : /overload|server|internal|timeout/i.test(text) ? "server"
+    : classifyHttpError(0, text);
+  return aiError(`${name} stream error: ${message}`, { kind, status });
+}
+
+// OpenAI-style server-sent events: "data: {json}" lines ending with "data: [DONE]".
+// With stream_options.include_usage the usage comes in a last event with no choices.
+async function readChatStream(res, onToken, name = "AI") {
+  let full = "";
+  let last = null;
+  let finish = null;
+  let usage = null;
+  let event = "";
+  for await (const line of readLines(res)) {
+    if (!line.trim()) {
+      event = ""; // a blank line ends the event
+      continue;
+    }
+    if (line.startsWith("event:")) {
+      event = line.slice(6).trim();
+      continue;
+    }
+    if (!line.startsWith("data:")) continue;
+    const payload = line.slice(5).trim();
+    if (payload === "[DONE]") break;
+    let data;
+    try {
+      data = JSON.parse(payload);
+    } catch {
+      if (event === "error") throw streamError(name, payload);
+      continue; // keep-alive or partial junk
+    }
+    if (event === "error" || data?.error) throw streamError(name, data);
+    last = data;
+    finish = data?.choices?.[0]?.finish_reason || finish;
+    usage = data?.usage || data?.x_groq?.usage || usage; // Groq puts it under x_groq
+    const delta = data?.choices?.[0]?.delta?.content || "";
+    if (!delta) continue;
+    full += delta;
+    onToken(delta, full);
+  }
+  return { text: full, last, finish, usage };
+}
+
+// POST /chat/completions on any OpenAI-style API (Groq, LM Studio, vLLM, ...)
+async function callOpenAIChat({ name, url, key, model, headers = {} }, messages, maxTokens, { onToken, signal, onUsage } = {}) {
+  const res = await aiFetch(name, url, {
+    method: "POST",
+    signal,
+    headers: {
+      "Content-Type": "application/json",
+      ...(key ? { "Authorization": `Bearer ${key}` } : {}),
+      ...headers
+    },
+    body: JSON.stringify({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature: 0.7,
+      ...(onToken ? { stream: true, stream_options: { include_usage: true } } : {})
+    })
+  });
+
+  if (!res.ok) throw await httpError(name, res);
+  if (onToken) {
+    const { text, finish, usage } = await readChatStream(res, onToken, name);
+    checkFinish(name, finish);
+    onUsage?.(usageFrom(usage));
+    return text;
+  }
+  const data = await res.json();
+  checkFinish(name, data?.choices?.[0]?.finish_reason);
+  onUsage?.(usageFrom(data?.usage));
+  return data?.choices?.[0]?.message?.content ?? "";
+}
+
+async function callGroqChat(messages, maxTokens, opts) {
+  const key = getGroqKey();
+  if (!key) throw aiError("Missing Groq API key (Settings tab).", { kind: "auth" });
+
+  return callOpenAIChat({
+    name: "Groq",
+    url: "https://api.groq.com/openai/v1/chat/completions",
+    key,
+    model: PROVIDERS.groq.model(opts?.model)
+  }, messages, maxTokens, opts);
+}
+
+async function callCompatChat(messages, maxTokens, opts) {
+  const st = store.get();
+  const base = (st.settings.oaiBaseUrl || "").trim().replace(/\/+$/, "");
+  if (!base) throw aiError("Missing OpenAI-compatible base URL (Settings tab).", { kind: "request" });
+  const model = PROVIDERS.openai.model(opts?.model);
+  if (!model) throw aiError("Missing OpenAI-compatible model name (Settings tab).", { kind: "request" });
+
+  return callOpenAIChat({
+    name: "OpenAI-compatible",
+    url: `${base}/chat/completions`,
+    key: getOaiKey(),
+    model,
+    headers: parseHeaders(st.settings.oaiHeaders)
+  }, messages, maxTokens, opts);
+}
+
+// Extra headers are stored as a JSON object string, e.g. {"X-Team": "fiction"}.
+// savePerf() checks them; a bad value that got saved anyway fails the request without a retry.
+function parseHeaders(json) {
+  if (!(json || "").trim()) return {};
+  let obj;
+  try {
+    obj = JSON.parse(json);
+  } catch (e) {
+    throw aiError(`Extra headers are not valid JSON: ${e.message}`, { kind: "request" });
+  }
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) throw aiError("Extra headers must be a JSON object.", { kind: "request" });
+  return Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, String(v)]));
+}
+
+async function callPerplexityChat(messages, { onToken, signal, onUsage, model: override } = {}) {
+  const key = getPplxKey();
+  if (!key) throw aiError("Missing Perplexity API key (Settings tab).", { kind: "auth" });
+
+  const model = PROVIDERS.perplexity.model(override);
+
+  const res = await aiFetch("Perplexity", "https://api.perplexity.ai/chat/completions", {
+    method: "POST",
+    signal,
+    headers: { "Content-Type": "application/json", "Authorization": `Bearer ${key}` },
+    body: JSON.stringify({ model, messages, ...(onToken ? { stream: true } : {}) })
+  });
+
+  if (!res.ok) throw await httpError("Perplexity", res);
+  let content;
+  let citations;
+  if (onToken) {
+    // citations ride along on every streamed event; the last one has the full list
+    const { text, last, usage } = await readChatStream(res, onToken, "Perplexity");
+    content = text;
+    citations = last?.citations ?? [];
+    onUsage?.(usageFrom(usage));
+  } else {
+    const data = await res.json();
+    content = data?.choices?.[0]?.message?.content ?? "";
+    citations = data?.citations ?? [];
+    onUsage?.(usageFrom(data?.usage));
+  }
+  return citations.length
+    ? `${content}\n\nSources:\n${citations.map(c => `- ${c}`).join("\n")}`
+    : content;
+}
+
+function getOllamaBase() {
+  return (store.get().settings.ollamaBaseUrl || "http://localhost:11434").replace(/\/+$/, "");
+}
+
+// Ollama must allow this page's origin: OLLAMA_ORIGINS="*" ollama serve
+async function callOllamaChat(messages, maxTokens, { onToken, signal, onUsage, model: override } = {}) {
+  const model = PROVIDERS.ollama.model(override);
+  if (!model) throw aiError("No Ollama model selected (Settings tab).", { kind: "request" });
+
+  let res;
+  try {
+    res = await fetch(`${getOllamaBase()}/api/chat`, {
+      method: "POST",
+      signal,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        model,
+        messages,
+        stream: !!onToken,
+        options: { num_predict: maxTokens, temperature: 0.7 }
+      })
+    });
+  } catch (e) {
+    if (isAbort(e)) throw e;
+    throw aiError(`Ollama not reachable at ${getOllamaBase()} (is "ollama serve" running with OLLAMA_ORIGINS set?)`, { kind: "network" });
+  }
+
+  if (!res.ok) throw await httpError("Ollama", res);
+  if (onToken) {
+    // newline-delimited JSON, one message fragment per line
+    let full = "";
+    for await (const line of readLines(res)) {
+      if (!line.trim()) continue;
+      let data;
+      try {
+        data = JSON.parse(line);
+      } catch {
+        continue; // partial or junk line
+      }
+      if (data?.error) throw streamError("Ollama", data);
+      const delta = data?.message?.content || "";
+      if (delta) {
+        full += delta;
+        onToken(delta, full);
+      }
+      if (data.done) {
+        onUsage?.(ollamaUsage(data));
+        break;
+      }
+    }
+    return full;
+  }
+  const data = await res.json();
+  onUsage?.(ollamaUsage(data));
+  return data?.message?.content ?? "";
+}
+
+function ollamaUsage(data) {
+  if (data?.prompt_eval_count == null && data?.eval_count == null) return null;
+  return { promptTokens: data.prompt_eval_count || 0, completionTokens: data.eval_count || 0 };
+}
+
+// OpenAI-style usage object -> { promptTokens, completionTokens }
+function usageFrom(u) {
+  if (!u) return null;
+  return { promptTokens: u.prompt_tokens || 0, completionTokens: u.completion_tokens || 0 };
+}
+
+const OLLAMA_LIST_TIMEOUT_MS = 5000;
+
+async function listOllamaModels() {
+  // a timeout rejects like a dropped connection, so aiFetch reports it as a network error
+  const res = await aiFetch("Ollama", `${getOllamaBase()}/api/tags`, { signal: AbortSignal.timeout(OLLAMA_LIST_TIMEOUT_MS) });
+  if (!res.ok) throw await httpError("Ollama", res);
+  const data = await res.json();
+  return (data?.models || []).map(m => m.name).sort();
+}
+
+/* -----------------------------
+   Mock provider (testing, no network)
+   - deterministic: the same messages always get the same reply
+   - settings.mock: latencyMs, failEvery (every Nth call fails with
+     failKind), malformedJson (JSON replies are cut off mid-object)
+   - mockAI.script: steps consumed one per call ahead of the settings, e.g.
+     { reply: "text" } | { fail: "server", retryAfterMs } | { malformed: true } | { latencyMs }
+   - mockAI.calls records every call's messages for assertions
+--------------------------------*/
+const mockAI = { calls: [], script: [] };
+
+// Scripted replies by prompt content; first match wins, then the generic ones
+const MOCK_RESPONDERS = [
+  {
+    test: (prompt) => /book plan/i.test(prompt) && /json/i.test(prompt),
+    reply: () => JSON.stringify({
+      title: "Mock Book",
+      genre: "Fiction",
+      targetWordCount: 3000,
+      numChapters: 3,
+      chapterTitles: ["Arrival", "The Storm", "Home"],
+      plotOutline: "A traveller arrives, weathers a storm and finds the way home.",
+      characterDescriptions: "Mara — the traveller. Tobias — the lighthouse keeper.",
+      styleNotes: "Close third person, past tense."
+    })
+  },
+  {
+    test: (prompt) => /character bible/i.test(prompt) && /json/i.test(prompt),
+    reply: (prompt) => JSON.stringify({
+      characters: [
+        { name: "Mara", aliases: ["Mara Quinn"], description: "The traveller.", age: 30, appearance: null },
+        { name: "Tobias", aliases: [], description: "The lighthouse keeper.", age: 60 }
+      ],
+      locations: [{ name: "The Lighthouse", aliases: [], description: "On the headland." }],
+      items: [],
+      factions: [],
+      source: hashText(prompt)
+    })
+  },
+  {
+    test: (prompt) => /in-story calendar/i.test(prompt),
+    reply: () => JSON.stringify({ events: [] })
+  },
+  {
+    test: (prompt) => /continuity facts/i.test(prompt),
+    reply: () => JSON.stringify({ facts: [] })
+  },
+  {
+    test: (prompt) => /json/i.test(prompt),
+    reply: (prompt) => JSON.stringify({ mock: true, hash: hashText(prompt) })
+  }
+];
+
+function mockReply(messages) {
+  const prompt = messages.map(m => m.content).join("\n");
+  const hit = MOCK_RESPONDERS.find(r => r.test(prompt));
+  if (hit) return { text: hit.reply(prompt), json: true };
+  const last = messages[messages.length - 1]?.content || "";
+  const gist = last.replace(/\s+/g, " ").trim().slice(0, 60);
+  return { text: `- Mock reply ${hashText(prompt)}: "${gist}"`, json: false };
+}
+
+async function callMockAI(messages, maxTokens, opts = {}) {
+  const { onToken, signal, onUsage } = opts;
+  const cfg = store.get().settings.mock || {};
+  mockAI.calls.push({ messages, maxTokens, model: opts.model || "" });
+  const step = mockAI.script.shift() || {};
+  await sleep(step.latencyMs ?? cfg.latencyMs ?? 0, signal);
+
+  const failKind = step.fail || (cfg.failEvery > 0 && mockAI.calls.length % cfg.failEvery === 0 ? cfg.failKind : "");
+  if (failKind) {
+    const status = { auth: 401, rate_limit: 429, quota: 429, server: 503, content_filter: 400, request: 400 }[failKind] || 0;
+    throw aiError(`Mock ${failKind} failure${status ? ` (${status})` : ""}`, {
+      kind: failKind,
+      status,
+      retryAfterMs: step.retryAfterMs ?? (failKind === "rate_limit" ? 200 : 0)
+    });
+  }
+
+  let { text, json } = step.reply != null ? { text: step.reply, json: false } : mockReply(messages);
+  if (json && (step.malformed ?? cfg.malformedJson)) text = text.slice(0, Math.ceil(text.length / 2));
+
+  if (onToken) {
+    let full = "";
+    for (const piece of text.match(/\S+\s*/g) || []) {
+      signal?.throwIfAborted();
+      full += piece;
+      onToken(piece, full);
+    }
+  }
+  onUsage?.({ promptTokens: estimateTokens(messages.map(m => m.content).join("\n")), completionTokens: estimateTokens(text) });
+  return text;
+}
+
+/* -----------------------------
+   Provider router
+   - every AI feature calls callAI(messages, maxTokens, { feature, onToken })
+   - settings.routes[feature] overrides the global AI Mode ("" = follow AI Mode)
+   - onToken(delta, fullText) switches the provider to streaming
+   - signal (from the feature's job) aborts the request
+   - on a retryable failure (rate limit, server, network) callAI walks
+     settings.fallbacks in order; a rate-limited provider is skipped until
+     its retry delay has passed; onProvider(id) reports who answered
+   - model (e.g. a quick action's own) overrides the primary provider's
+     Settings model; fallbacks keep theirs. model(override) gives the model
+     a call will use (WebLLM runs whatever is loaded, so it ignores it)
+--------------------------------*/
+const PROVIDERS = {
+  groq: {
+    name: "Groq",
+    model: (override) => override || store.get().settings.groqModel,
+    call: (messages, maxTokens, opts) => callGroqChat(messages, maxTokens, opts)
+  },
+  perplexity: {
+    name: "Perplexity",
+    model: (override) => override || store.get().settings.pplxModel,
+    call: (messages, maxTokens, opts) => callPerplexityChat(messages, opts)
+  },
+  local: {
+    name: "Local (WebLLM)",
+    model: () => localStorage.getItem("author-house:localModel") || "llama-3.2-1b",
+    call: (messages, maxTokens, opts) => callLocalAI(messages, { max_tokens: maxTokens, ...opts })
+  },
+  ollama: {
+    name: "Ollama",
+    model: (override) => override || store.get().settings.ollamaModel,
+    call: (messages, maxTokens, opts) => callOllamaChat(messages, maxTokens, opts)
+  },
+  openai: {
+    name: "OpenAI-compatible",
+    model: (override) => override || store.get().settings.oaiModel,
+    call: (messages, maxTokens, opts) => callCompatChat(messages, maxTokens, opts)
+  },
+  mock: {
+    name: "Mock (testing)",
+    model: (override) => override || "mock",
+    call: (messages, maxTokens, opts) => callMockAI(messages, maxTokens, opts)
+  }
+};
+
+const AI_FEATURES = [
+  { id: "lineEdit", name: "Line edit" },
+  { id: "continue", name: "Continue writing" },
+  { id: "summary", name: "Chapter summary" },
+  { id: "quickAction", name: "Custom quick actions" },
+  { id: "styleGuide", name: "Style guide" },
+  { id: "characterBible", name: "Character bible" },
+  { id: "continuity", name: "Continuity check" },
+  { id: "timeline", name: "Timeline" },
+  { id: "pipeline", name: "Publishing pipeline" },
+  { id: "research", name: "Research" },
+  { id: "planner", name: "Book planner" },
+  { id: "bookWriter", name: "Write entire book" }
+];
+
+function providerFor(feature) {
+  const route = store.get().settings.routes?.[feature];
+  const mode = route || getAIMode();
+  return PROVIDERS[mode] ? mode : "groq";
+}
+
+const cooldownUntil = {}; // provider id -> time its rate limit lifts
+
+// Primary provider first, then the configured fallbacks (deduplicated)
+function providerChain(feature, primary = providerFor(feature)) {
+  const chain = [primary];
+  for (const id of store.get().settings.fallbacks || []) {
+    if (PROVIDERS[id] && !chain.includes(id)) chain.push(id);
+  }
+  const ready = chain.filter(id => !(cooldownUntil[id] > Date.now()));
+  return ready.length ? ready : chain;
+}
+
+// Unified AI call function that routes to appropriate provider
+// provider / model: optional explicit primary and its model (e.g. a quick action's own)
+async function callAI(messages, maxTokens = 2000, { feature = "general", onToken, signal, projectId, onProvider, provider, model } = {}) {
+  const primary = PROVIDERS[provider] ? provider : providerFor(feature);
+  let firstErr = null;
+
+  for (const mode of providerChain(feature, primary)) {
+    const fallback = mode !== primary;
+    log(`Calling AI (${feature}) via ${mode}${fallback ? " (fallback)" : ""}...`);
+    try {
+      let usage = null;
+      const override = fallback ? "" : model;
+      const text = await PROVIDERS[mode].call(messages, maxTokens, { onToken, signal, model: override, onUsage: u => { usage = u; } });
+      recordUsage({
+        provider: mode,
+        model: PROVIDERS[mode].model(override),
+        feature,
+        projectId: projectId || store.get().activeProjectId,
+        ...(usage || {
+          promptTokens: estimateTokens(messages.map(m => m.content).join("\n")),
+          completionTokens: estimateTokens(text),
+          estimated: true
+        })
+      });
+      if (fallback) log(`AI call (${feature}) answered by fallback ${PROVIDERS[mode].name}`);
+      onProvider?.(mode);
+      return text;
+    } catch (err) {
+      if (isAbort(err)) throw err;
+      log(`AI call failed (${feature}) via ${mode}: ${err.message}`);
+      if (err.kind === "rate_limit") cooldownUntil[mode] = Date.now() + (err.retryAfterMs || 0);
+      firstErr = firstErr || err;
+      // only the primary's non-retryable (or unclassified) errors stop the chain;
+      // a fallback that is misconfigured just hands over to the next one
+      if (!fallback && !err.retryable) throw err;
+    }
+  }
+  throw firstErr;
+}
+
+// onToken handler mirroring a streaming reply into an output element,
+// with a live token count in the status pill
+function streamInto(el, prefix = "") {
+  return (delta, full) => {
+    el.textContent = prefix + full;
+    el.scrollTop = el.scrollHeight;
+    setStatus(`Streaming… ${estimateTokens(full)} tokens`);
+  };
+}
+
+/* -----------------------------
+   Usage & cost
+   - callAI records every successful call: provider, model, feature, project, tokens
+   - token counts come from the provider's usage report; when it sends none
+     they are estimated and flagged (estimated: true)
+   - cost = tokens × settings.modelPrices[model] (USD per 1M tokens)
+   - settings.monthlyBudget warns or blocks before large jobs
+--------------------------------*/
+const MAX_USAGE = 20000;
+
+function recordUsage(entry) {
+  const st = store.get();
+  st.usage.push({ at: Date.now(), ...entry });
+  if (st.usage.length > MAX_USAGE) st.usage = st.usage.slice(-MAX_USAGE);
+  store.set(st, "logs/usage");
+  renderUsage();
+}
+
+function usageCost(u) {
+  const price = store.get().settings.modelPrices?.[u.model];
+  if (!price) return 0;
+  return (u.promptTokens * (price.input || 0) + u.completionTokens * (price.output || 0)) / 1e6;
+}
+
+function monthSpend(now = new Date()) {
+  const start = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+  return store.get().usage.filter(u => u.at >= start).reduce((sum, u) => sum + usageCost(u), 0);
+}
+
+const fmtUsd = (n) => `$${n.toFixed(n && n < 0.01 ? 4 : 2)}`;
+
+// Called before large jobs; estimate is the job's expected cost in USD, if known
+function checkBudget(label, estimate = 0) {
+  const { monthlyBudget, budgetMode } = store.get().settings;
+  if (!monthlyBudget) return true;
+  const spent = monthSpend();
+  if (spent + estimate < monthlyBudget) return true;
+
+  const msg = `${label}: this month's AI spend is ${fmtUsd(spent)}` +
+    (estimate ? ` + ~${fmtUsd(estimate)} for this job` : "") +
+    ` against a budget of ${fmtUsd(monthlyBudget)}.`;
+  if (budgetMode === "block") {
+    log(`Blocked by budget — ${msg}`);
+    toast("Monthly AI budget reached (see Usage tab).");
+    return false;
+  }
+  return confirm(`${msg}\n\nContinue anyway?`);
+}
+
+function summarizeUsage(list, keyOf) {
+  const groups = new Map();
+  for (const u of list) {
+    const k = keyOf(u);
+    const g = groups.get(k) || { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0, estimated: 0 };
+    g.calls++;
+    g.promptTokens += u.promptTokens;
+    g.completionTokens += u.completionTokens;
+    g.cost += usageCost(u);
+    if (u.estimated) g.estimated++;
+    groups.set(k, g);
+  }
+  return groups;
+}
+
+function usageTable(title, groups) {
+  const rows = [...groups].map(([k, g]) =>
+    `${k.padEnd(28)} ${String(g.calls).padStart(5)} calls  ${String(g.promptTokens).padStart(9)} in  ${String(g.completionTokens).padStart(8)} out  ${fmtUsd(g.cost).padStart(9)}` +
+    (g.estimated ? `  (${g.estimated} estimated)` : "")
+  );
+  return `${title}\n${rows.length ? rows.join("\n") : "(none)"}\n`;
+}
+
+function renderUsage() {
+  const box = els("usageOut");
+  if (!box) return;
+  const st = store.get();
+  const all = els("usageScope")?.value === "all";
+  const list = all ? st.usage : st.usage.filter(u => u.projectId === st.activeProjectId);
+  const day = (u) => new Date(u.at).toLocaleDateString("en-CA"); // YYYY-MM-DD
+  const projectName = (u) => st.projects[u.projectId]?.title || "(deleted project)";
+
+  const { monthlyBudget } = st.settings;
+  const spent = monthSpend();
+  const out = [
+    `This month (all projects): ${fmtUsd(spent)}` + (monthlyBudget ? ` of ${fmtUsd(monthlyBudget)} budget` : " (no budget set)"),
+    "",
+    usageTable("By day", new Map([...summarizeUsage(list, day)].sort((a, b) => b[0].localeCompare(a[0])).slice(0, 31))),
+    usageTable("By model", summarizeUsage(list, u => `${u.provider}/${u.model}`)),
+    usageTable("By feature", summarizeUsage(list, u => u.feature))
+  ];
+  if (all) out.push(usageTable("By project", summarizeUsage(list, projectName)));
+  box.textContent = out.join("\n");
+}
+
+function saveBudget() {
+  const st = store.get();
+  let prices;
+  try {
+    prices = JSON.parse(els("modelPrices").value || "{}");
+    if (!prices || typeof prices !== "object" || Array.isArray(prices)) throw new Error("must be a JSON object");
+    for (const [model, pr] of Object.entries(prices)) {
+      if (!Number.isFinite(pr?.input) || !Number.isFinite(pr?.output)) throw new Error(`"${model}" needs numeric input and output prices`);
+    }
+  } catch (e) {
+    return toast(`Model prices: ${e.message}`);
+  }
+  st.settings.modelPrices = prices;
+  st.settings.monthlyBudget = Math.max(0, Number(els("monthlyBudget").value) || 0);
+  st.settings.budgetMode = els("budgetMode").value === "block" ? "block" : "warn";
+  store.set(st, "meta");
+  renderUsage();
+  toast("Prices and budget saved");
+}
+
+function clearUsage() {
+  if (!confirm("Clear the recorded AI usage for all projects?")) return;
+  const st = store.get();
+  st.usage = [];
+  store.set(st, "logs/usage");
+  renderUsage();
+  toast("Usage cleared");
+}
+
+/* -----------------------------
+   Pre-flight estimates (pipeline, write entire book)
+   - requests: [{ inTokens, outTokens }] for the calls a job will make,
+     cache hits already left out
+   - output is the max_tokens budget, so token/cost figures are upper-end
+   - both jobs send one request at a time, so time is the sum of per-call
+     latency, never faster than minIntervalMs apart; maxConcurrent only
+     helps a job that runs calls in parallel
+--------------------------------*/
+const GEN_TOKENS_PER_SEC = { groq: 250, perplexity: 60, openai: 40, ollama: 25, local: 15, mock: 1000 };
+const CALL_OVERHEAD_MS = 1200;
+
+function estimateJob(feature, requests, parallel = 1) {
+  const { minIntervalMs, maxConcurrent } = store.get().settings;
+  const provider = providerFor(feature);
+  const model = PROVIDERS[provider].model();
+  const inTokens = requests.reduce((n, r) => n + r.inTokens, 0);
+  const outTokens = requests.reduce((n, r) => n + r.outTokens, 0);
+  const perCall = requests.map(r => Math.max(minIntervalMs, CALL_OVERHEAD_MS + r.outTokens / GEN_TOKENS_PER_SEC[provider] * 1000));
+  const lanes = Math.max(1, Math.min(maxConcurrent, parallel));
+  return {
+    provider,
+    model,
+    requests: requests.length,
+    inTokens,
+    outTokens,
+    ms: perCall.reduce((a, b) => a + b, 0) / lanes,
+    cost: usageCost({ model, promptTokens: inTokens, completionTokens: outTokens })
+  };
+}
+
+function fmtDuration(ms) {
+  const s = Math.round(ms / 1000);
+  if (s < 90) return `${s}s`;
+  const m = Math.round(s / 60);
+  return m < 90 ? `${m} min` : `${(m / 60).toFixed(1)} h`;
+}
+
+// Shows the estimate and asks to start; also applies the monthly budget
+function confirmEstimate(label, est, lines = []) {
+  const { minIntervalMs, maxConcurrent } = store.get().settings;
+  const price = store.get().settings.modelPrices?.[est.model];
+  const msg = [
+    label,
+    "",
+    ...lines,
+    `Requests: ${est.requests}`,
+    `Est. tokens: ~${est.inTokens.toLocaleString()} in / up to ${est.outTokens.toLocaleString()} out`,
+    `Est. time: ~${fmtDuration(est.ms)} (${minIntervalMs}ms between requests, max ${maxConcurrent} concurrent)`,
+    `Est. cost: ~${fmtUsd(est.cost)} (${est.provider} / ${est.model}${price ? "" : ", no price set"})`,
+    "",
+    "Start now?"
+  ].join("\n");
+  return confirm(msg) && checkBudget(label, est.cost);
+}
+
 /* -----------------------------
    App Model (Projects/Chapters)
 --------------------------------*/
@@ -380,49 +2079,498 @@ function getActive() {
   return { st, p, c };
 }
 
-function setActiveProject(pid) {
-  const st = store.get();
-  st.activeProjectId = pid;
-  const p = st.projects[pid];
-  st.activeChapterId = p.chapterOrder[0];
-  store.set(st);
-  renderAll();
+function setActiveProject(pid) {
+  const st = store.get();
+  st.activeProjectId = pid;
+  const p = st.projects[pid];
+  st.activeChapterId = p.chapterOrder[0];
+  st.activeSceneId = "";
+  store.set(st, "meta");
+  renderAll();
+}
+
+function setActiveChapter(cid) {
+  const st = store.get();
+  st.activeChapterId = cid;
+  st.activeSceneId = "";
+  store.set(st, "meta");
+  renderAll();
+}
+
+// Open a chapter in the editor with [at, at + length) selected
+function showPassage(cid, at = 0, length = 0) {
+  setActiveChapter(cid);
+  document.querySelector(".tab[data-tab=\"write\"]")?.click();
+  const editor = els("editor");
+  editor.setSelectionRange(at, at + length);
+  editor.focus();
+}
+
+function updateChapterTitle(title) {
+  const { st, p, c } = getActive();
+  c.title = title;
+  store.set(st, `chapters/${c.id}`);
+  renderProjectUI();
+}
+
+function updateChapterText(text) {
+  const { st, p, c } = getActive();
+  if (editorRange) {
+    // the range the editor was filled from, so a break typed mid-scene can't misplace text
+    c.text = c.text.slice(0, editorRange.start) + text + c.text.slice(editorRange.end);
+    editorRange.end = editorRange.start + text.length;
+    realignScenes(c, { id: editorRange.id, at: editorRange.start });
+  } else {
+    c.text = text;
+    realignScenes(c);
+  }
+  store.set(st, `chapters/${c.id}`);
+  renderTokenHint();
+}
+
+/* -----------------------------
+   Scenes
+   - the chapter text stays the single source of truth; scenes are the
+     stretches between scene-break lines (* * *, ***, #, ~~~)
+   - c.scenes holds each scene's { id, title, pov, location, status,
+     synopsis, anchor } in order; chapterScenes() lines it up with the text
+     by anchor (the scene's opening words), so typing a new break splits a
+     scene without shuffling the others' details. Reading is side-effect
+     free; text edits and the scene actions save the result (realignScenes)
+   - scene summaries live in p.cache.sceneSummaries by scene id
+   - st.activeSceneId ("" = whole chapter) narrows the editor, and the AI
+     features that read it, to one scene
+--------------------------------*/
+const SCENE_BREAK_RE = /^[ \t]*(?:[*#~][ \t]*){1,5}$/gm;
+const SCENE_BREAK = "* * *";
+const WORK_STATUSES = ["Outline", "Draft", "Revised", "Final"];
+let editorRange = null; // { id, start, end }: the part of c.text shown in the editor while a scene is open
+
+// text -> [{ start, end, text }] with surrounding blank lines left out of each range
+function sceneSegments(text) {
+  const t = text || "";
+  const bounds = [0];
+  for (const m of t.matchAll(SCENE_BREAK_RE)) bounds.push(m.index, m.index + m[0].length);
+  bounds.push(t.length);
+  const out = [];
+  for (let i = 0; i < bounds.length; i += 2) {
+    let start = bounds[i];
+    let end = bounds[i + 1];
+    while (start < end && /\s/.test(t[start])) start++;
+    while (end > start && /\s/.test(t[end - 1])) end--;
+    out.push({ start, end, text: t.slice(start, end) });
+  }
+  return out;
+}
+
+function sceneAnchor(text) {
+  return text.replace(/\s+/g, " ").trim().slice(0, 40);
+}
+
+function newScene(n, id = crypto.randomUUID()) {
+  return { id, title: `Scene ${n}`, pov: "", location: "", status: "Draft", synopsis: "", anchor: "" };
+}
+
+// -> [{ scene, anchor, start, end, text }] without changing c.scenes. A stretch of text
+// with no scene yet gets one whose id comes from its place, so every read agrees on it.
+// pin { id, at }: the scene being edited keeps its details at text offset `at`
+function chapterScenes(c, pin = null) {
+  const segments = sceneSegments(c.text);
+  const meta = c.scenes || [];
+  const pinned = pin ? segments.findIndex(seg => seg.end >= pin.at) : -1;
+  const pinnedScene = pinned < 0 ? null : meta.find(m => m.id === pin.id) || newScene(pinned + 1, pin.id);
+  const used = new Set([pinnedScene]);
+  const ids = new Set(meta.map(m => m.id));
+  return segments.map((seg, i) => {
+    const anchor = sceneAnchor(seg.text);
+    let scene = i === pinned ? pinnedScene : null;
+    scene = scene || meta.find(m => !used.has(m) && anchor && m.anchor === anchor);
+    // same number of scenes: an edited opening doesn't lose the details
+    if (!scene && meta.length === segments.length && !used.has(meta[i])) scene = meta[i];
+    if (!scene) {
+      let id = `${c.id}:${i}:${hashText(anchor)}`;
+      while (ids.has(id)) id += "'";
+      scene = newScene(i + 1, id);
+    }
+    used.add(scene);
+    ids.add(scene.id);
+    return { scene, anchor, ...seg };
+  });
+}
+
+// Save the lined-up scene list to c.scenes (the caller saves the chapter); returns it
+function realignScenes(c, pin = null) {
+  const scenes = chapterScenes(c, pin);
+  c.scenes = scenes.map(x => Object.assign(x.scene, { anchor: x.anchor }));
+  return scenes;
+}
+
+// The scene open in the editor, or null for the whole chapter
+function activeScene() {
+  const { st, c } = getActive();
+  if (!st.activeSceneId) return null;
+  return chapterScenes(c).find(x => x.scene.id === st.activeSceneId) || null;
+}
+
+// What the editor shows: the active scene, else the chapter
+function editorText(c) {
+  return activeScene()?.text ?? (c.text || "");
+}
+
+function setActiveScene(id) {
+  const { st, c } = getActive();
+  // the scene's details are edited on the object in c.scenes, so it must be there
+  realignScenes(c);
+  st.activeSceneId = id;
+  store.set(st, "meta", `chapters/${c.id}`);
+  renderProjectUI();
+}
+
+function renderScenes() {
+  const { st, c } = getActive();
+  const scenes = chapterScenes(c);
+  // a scene that is gone (edited away in another tab, say) shows as the whole chapter
+  const activeId = scenes.some(x => x.scene.id === st.activeSceneId) ? st.activeSceneId : "";
+  const sel = els("sceneSelect");
+  sel.innerHTML = "";
+  const all = document.createElement("option");
+  all.value = "";
+  all.textContent = `Whole chapter (${scenes.length} scene${scenes.length === 1 ? "" : "s"})`;
+  sel.appendChild(all);
+  scenes.forEach((x, i) => {
+    const opt = document.createElement("option");
+    opt.value = x.scene.id;
+    const words = countWords(x.text);
+    opt.textContent = `${i + 1}. ${x.scene.title}${x.scene.pov ? ` · ${x.scene.pov}` : ""} · ${x.scene.status} · ${words} words`;
+    sel.appendChild(opt);
+  });
+  sel.value = activeId;
+
+  const status = els("sceneStatus");
+  if (!status.options.length) {
+    for (const s of WORK_STATUSES) {
+      const opt = document.createElement("option");
+      opt.textContent = s;
+      status.appendChild(opt);
+    }
+  }
+  const cur = scenes.find(x => x.scene.id === activeId);
+  els("sceneMeta").classList.toggle("hidden", !cur);
+  if (!cur) return;
+  els("sceneTitle").value = cur.scene.title;
+  els("scenePov").value = cur.scene.pov;
+  els("sceneLocation").value = cur.scene.location;
+  els("sceneStatus").value = cur.scene.status;
+  els("sceneSynopsis").value = cur.scene.synopsis;
+}
+
+function saveSceneMeta() {
+  const { st, c } = getActive();
+  const cur = realignScenes(c).find(x => x.scene.id === st.activeSceneId);
+  if (!cur) return;
+  Object.assign(cur.scene, {
+    title: els("sceneTitle").value.trim() || cur.scene.title,
+    pov: els("scenePov").value.trim(),
+    location: els("sceneLocation").value.trim(),
+    status: els("sceneStatus").value,
+    synopsis: els("sceneSynopsis").value.trim()
+  });
+  store.set(st, `chapters/${c.id}`);
+  renderScenes();
+}
+
+// Rebuild the chapter from scene texts (breaks are normalised to SCENE_BREAK)
+function setSceneTexts(c, scenes) {
+  c.text = scenes.map(x => x.text).join(`\n\n${SCENE_BREAK}\n\n`);
+  c.scenes = scenes.map(x => ({ ...x.scene, anchor: sceneAnchor(x.text) }));
+}
+
+function moveScene(delta) {
+  const { st, c } = getActive();
+  const scenes = chapterScenes(c);
+  const i = scenes.findIndex(x => x.scene.id === st.activeSceneId);
+  if (i < 0) return toast("Pick a scene first.");
+  const j = i + delta;
+  if (j < 0 || j >= scenes.length) return;
+  reviseActive("Before moving a scene", "manual");
+  [scenes[i], scenes[j]] = [scenes[j], scenes[i]];
+  setSceneTexts(c, scenes);
+  store.set(st, `chapters/${c.id}`);
+  renderProjectUI();
+}
+
+function addScene() {
+  const { st, c } = getActive();
+  const scenes = chapterScenes(c);
+  if (scenes.length === 1 && !scenes[0].text) {
+    // an empty chapter already is one empty scene
+    realignScenes(c);
+    st.activeSceneId = scenes[0].scene.id;
+  } else {
+    const scene = newScene(scenes.length + 1);
+    setSceneTexts(c, [...scenes, { scene, text: "" }]);
+    st.activeSceneId = scene.id;
+  }
+  store.set(st, "meta", `chapters/${c.id}`);
+  renderProjectUI();
+  els("editor").focus();
+}
+
+function deleteScene() {
+  const { st, p, c } = getActive();
+  const scenes = chapterScenes(c);
+  const cur = scenes.find(x => x.scene.id === st.activeSceneId);
+  if (!cur) return toast("Pick a scene first.");
+  if (scenes.length === 1) return toast("A chapter needs at least one scene.");
+  if (!confirm(`Delete "${cur.scene.title}" and its text? The chapter is kept as a revision first.`)) return;
+  reviseActive(`Before deleting ${cur.scene.title}`, "manual");
+  setSceneTexts(c, scenes.filter(x => x !== cur));
+  st.activeSceneId = "";
+  delete p.cache.sceneSummaries?.[cur.scene.id];
+  store.set(st, "meta", `chapters/${c.id}`, `caches/${p.id}`);
+  renderProjectUI();
+}
+
+/* -----------------------------
+   Chapter metadata + corkboard
+   - chapters carry { synopsis, pov, status, targetWords, tags, color };
+     chapterMeta() fills in defaults for chapters saved before these existed
+   - the corkboard shows one index card per chapter; dragging a card moves
+     the chapter in p.chapterOrder
+   - split cuts a chapter in two at the editor cursor when run from the
+     editor, else at the paragraph break nearest the middle; merge joins a
+     chapter with the next one, keeping the join as a scene break, and drops
+     the caches kept for the removed chapter
+--------------------------------*/
+const CHAPTER_DEFAULTS = { synopsis: "", pov: "", status: "Draft", targetWords: 0, tags: [], color: "" };
+const LABEL_COLORS = { red: "#ff6b6b", orange: "#ffa94d", yellow: "#ffd166", green: "#2ceaa3", blue: "#7aa2ff", purple: "#b197fc" };
+let corkSelected = null; // chapter id whose details are open
+let corkDragged = null;  // chapter id being dragged
+let corkFormKey = "";    // card shown in the details form; a render only refills it when this changes
+
+function chapterMeta(c) {
+  return { ...CHAPTER_DEFAULTS, ...c };
+}
+
+function countWords(text) {
+  return (String(text || "").match(/\S+/g) || []).length;
+}
+
+function renderCorkboard() {
+  const { st, p } = getActive();
+  const filter = els("corkFilter");
+  if (!filter.options.length) {
+    for (const s of ["", ...WORK_STATUSES]) {
+      const opt = document.createElement("option");
+      opt.value = s;
+      opt.textContent = s || "All statuses";
+      filter.appendChild(opt);
+    }
+  }
+  if (!p.chapters[corkSelected]) corkSelected = null;
+
+  const board = els("corkboard");
+  board.innerHTML = "";
+  let words = 0;
+  let target = 0;
+  p.chapterOrder.forEach((cid, i) => {
+    const c = chapterMeta(p.chapters[cid]);
+    const count = countWords(c.text);
+    words += count;
+    target += Number(c.targetWords) || 0;
+    if (filter.value && c.status !== filter.value) return;
+
+    const card = document.createElement("div");
+    card.className = `corkCard${cid === corkSelected ? " active" : ""}${cid === st.activeChapterId ? " current" : ""}`;
+    card.draggable = true;
+    card.style.borderLeftColor = LABEL_COLORS[c.color] || "var(--border)";
+    const title = document.createElement("div");
+    title.className = "label";
+    title.textContent = `${i + 1}. ${c.title}`;
+    const meta = document.createElement("div");
+    meta.className = "small mono";
+    meta.textContent = `${c.status} · ${count.toLocaleString()}${c.targetWords ? ` / ${Number(c.targetWords).toLocaleString()}` : ""} words${c.pov ? ` · ${c.pov}` : ""}`;
+    const synopsis = document.createElement("div");
+    synopsis.className = "small mt6";
+    synopsis.textContent = c.synopsis || "No synopsis yet.";
+    card.append(title, meta, synopsis);
+    if (c.tags.length) {
+      const tags = document.createElement("div");
+      tags.className = "small mt6";
+      tags.textContent = c.tags.map(t => `#${t}`).join(" ");
+      card.appendChild(tags);
+    }
+
+    card.onclick = () => { corkSelected = cid; renderCorkboard(); };
+    card.ondblclick = () => showPassage(cid);
+    card.ondragstart = () => { corkDragged = cid; card.classList.add("dragging"); };
+    card.ondragend = () => { corkDragged = null; card.classList.remove("dragging"); };
+    card.ondragover = (e) => e.preventDefault();
+    card.ondrop = (e) => {
+      e.preventDefault();
+      if (corkDragged && corkDragged !== cid) moveChapter(corkDragged, p.chapterOrder.indexOf(cid));
+    };
+    board.appendChild(card);
+  });
+  els("corkTotals").textContent = `${p.chapterOrder.length} chapters · ${words.toLocaleString()}${target ? ` / ${target.toLocaleString()}` : ""} words`;
+  els("corkDetails").classList.toggle("hidden", !corkSelected);
+  // unsaved edits survive re-renders (typing in the editor included); another card,
+  // or this card's details changed elsewhere, reloads
+  const { text, scenes, ...details } = corkSelected ? chapterMeta(p.chapters[corkSelected]) : {};
+  const formKey = `${p.id}:${corkSelected}:${JSON.stringify(details)}`;
+  if (corkSelected && formKey !== corkFormKey) loadCorkDetails();
+  corkFormKey = formKey;
+}
+
+function loadCorkDetails() {
+  const { p } = getActive();
+  const c = chapterMeta(p.chapters[corkSelected]);
+  const status = els("corkStatus");
+  if (!status.options.length) {
+    for (const s of WORK_STATUSES) {
+      const opt = document.createElement("option");
+      opt.textContent = s;
+      status.appendChild(opt);
+    }
+  }
+  els("corkTitle").value = c.title;
+  els("corkStatus").value = c.status;
+  els("corkPov").value = c.pov;
+  els("corkTarget").value = c.targetWords || "";
+  els("corkTags").value = c.tags.join(", ");
+  els("corkColor").value = c.color;
+  els("corkSynopsis").value = c.synopsis;
+}
+
+function saveChapterMeta() {
+  const { st, p } = getActive();
+  const c = p.chapters[corkSelected];
+  if (!c) return toast("Pick a chapter card first.");
+  Object.assign(c, {
+    title: els("corkTitle").value.trim() || c.title,
+    status: els("corkStatus").value,
+    pov: els("corkPov").value.trim(),
+    targetWords: Math.max(0, Math.floor(Number(els("corkTarget").value) || 0)),
+    tags: [...new Set(els("corkTags").value.split(",").map(t => t.trim().replace(/^#/, "")).filter(Boolean))],
+    color: els("corkColor").value,
+    synopsis: els("corkSynopsis").value.trim()
+  });
+  store.set(st, `chapters/${c.id}`);
+  renderProjectUI();
+  renderCorkboard();
+  toast(`Saved ${c.title}`);
+}
+
+function moveChapter(cid, index) {
+  const { st, p } = getActive();
+  const order = p.chapterOrder.filter(x => x !== cid);
+  order.splice(Math.max(0, Math.min(index, order.length)), 0, cid);
+  p.chapterOrder = order;
+  store.set(st, `projects/${p.id}`);
+  renderAll();
+}
+
+// Split point: the editor cursor when the editor has focus with this chapter open as a whole,
+// else the paragraph break nearest the middle
+function splitPoint(c) {
+  const { st } = getActive();
+  const text = c.text || "";
+  // the caret only counts when the split was asked for from the editor, not from the corkboard
+  const editor = els("editor");
+  const caret = editor.selectionStart;
+  if (document.activeElement === editor && c.id === st.activeChapterId && !st.activeSceneId && caret > 0 && caret < text.length) return caret;
+  const breaks = [...text.matchAll(/\n\s*\n/g)].map(m => m.index);
+  if (!breaks.length) return -1;
+  return breaks.reduce((best, i) => (Math.abs(i - text.length / 2) < Math.abs(best - text.length / 2) ? i : best));
 }
 
-function setActiveChapter(cid) {
-  const st = store.get();
-  st.activeChapterId = cid;
-  store.set(st);
-  renderAll();
+// Summary, facts and consistency notes of a chapter that a split or merge rewrote
+function dropChapterCaches(p, cid) {
+  delete p.cache.summaries[cid];
+  delete p.cache.chapterFacts?.[cid];
+  for (const notes of Object.values(p.cache.bookNotes || {})) delete notes[cid];
 }
 
-function updateChapterTitle(title) {
-  const { st, p, c } = getActive();
-  c.title = title;
+function splitChapter(cid = corkSelected) {
+  const { st, p } = getActive();
+  const c = p.chapters[cid];
+  if (!c) return toast("Pick a chapter card first.");
+  const at = splitPoint(c);
+  let head = (c.text || "").slice(0, at).trimEnd();
+  let tail = (c.text || "").slice(at).trim();
+  // a scene break at the cut belongs to neither chapter
+  const headParts = sceneSegments(head);
+  while (headParts.length > 1 && !headParts.at(-1).text) headParts.pop();
+  head = head.slice(0, headParts.at(-1).end);
+  const tailParts = sceneSegments(tail);
+  while (tailParts.length > 1 && !tailParts[0].text) tailParts.shift();
+  tail = tail.slice(tailParts[0].start);
+  if (at < 0 || !head || !tail) return toast("Nothing to split: put the cursor where the new chapter should start.");
+  const title = prompt(`Split "${c.title}" before:\n\n“${tail.slice(0, 80)}…”\n\nTitle for the new chapter:`, `${c.title} (continued)`);
+  if (title === null) return;
+
+  addRevision(p, cid, c.text, { label: "Before split", source: "manual" });
+  const meta = chapterMeta(c);
+  const id = crypto.randomUUID();
+  // scenes after the cut move with their details; a scene cut in two stays with the head
+  const scenes = chapterScenes(c).filter(x => x.text);
+  const cut = scenes.find(x => x.start < at && x.end > at);
+  if (cut) delete p.cache.sceneSummaries?.[cut.scene.id];
+  p.chapters[id] = {
+    id, title: title.trim() || `${c.title} (continued)`, text: tail,
+    scenes: scenes.filter(x => x.start >= at).map(x => x.scene),
+    status: meta.status, pov: meta.pov, tags: [...meta.tags], color: meta.color
+  };
+  realignScenes(p.chapters[id]);
+  c.text = head;
+  c.scenes = scenes.filter(x => x.start < at).map(x => x.scene);
+  realignScenes(c);
+  dropChapterCaches(p, cid);
+  p.chapterOrder.splice(p.chapterOrder.indexOf(cid) + 1, 0, id);
+  corkSelected = id;
   store.set(st);
-  renderProjectUI();
+  renderAll();
+  toast(`Split into "${c.title}" and "${p.chapters[id].title}"`);
 }
 
-function updateChapterText(text) {
-  const { st, p, c } = getActive();
-  c.text = text;
+function mergeWithNext(cid = corkSelected) {
+  const { st, p } = getActive();
+  const i = p.chapterOrder.indexOf(cid);
+  const next = p.chapterOrder[i + 1];
+  if (i < 0 || !next) return toast("Pick a chapter that has a next chapter.");
+  const a = p.chapters[cid];
+  const b = p.chapters[next];
+  if (!confirm(`Merge "${b.title}" into "${a.title}"? "${a.title}" is kept as a revision first; "${b.title}" and its revisions are removed.`)) return;
+
+  addRevision(p, cid, a.text, { label: `Before merging ${b.title}`, source: "manual" });
+  const [ma, mb] = [chapterMeta(a), chapterMeta(b)];
+  Object.assign(a, {
+    text: [a.text, b.text].map(t => (t || "").trim()).filter(Boolean).join(`\n\n${SCENE_BREAK}\n\n`),
+    scenes: [...(a.scenes || []), ...(b.scenes || [])],
+    synopsis: [ma.synopsis, mb.synopsis].filter(Boolean).join(" "),
+    tags: [...new Set([...ma.tags, ...mb.tags])],
+    targetWords: (Number(ma.targetWords) || 0) + (Number(mb.targetWords) || 0)
+  });
+  delete p.chapters[next];
+  delete p.revisions[next];
+  dropChapterCaches(p, cid);
+  dropChapterCaches(p, next);
+  delete projectTimeline(p).read[next];
+  p.chapterOrder = p.chapterOrder.filter(x => x !== next);
+  for (const e of projectTimeline(p).events) if (e.chapterId === next) e.chapterId = cid;
+  if (st.activeChapterId === next) st.activeChapterId = cid;
   store.set(st);
-  renderTokenHint();
+  renderAll();
+  toast(`Merged into "${a.title}"`);
 }
 
 function createProject() {
   const st = store.get();
-  const pid = crypto.randomUUID();
-  const cid = crypto.randomUUID();
-  st.projects[pid] = {
-    id: pid,
-    title: `Project ${Object.keys(st.projects).length + 1}`,
-    chapters: { [cid]: { id: cid, title: "Chapter 1", text: "" } },
-    chapterOrder: [cid],
-    cache: { summaries: {}, styleGuide: "", characterBible: "" }
-  };
-  st.activeProjectId = pid;
-  st.activeChapterId = cid;
+  const p = newProject(`Project ${Object.keys(st.projects).length + 1}`);
+  st.projects[p.id] = p;
+  st.activeProjectId = p.id;
+  st.activeChapterId = p.chapterOrder[0];
+  st.activeSceneId = "";
   store.set(st);
   renderAll();
   toast("Project created");
@@ -436,6 +2584,7 @@ function deleteProject() {
   const next = Object.keys(st.projects)[0];
   st.activeProjectId = next;
   st.activeChapterId = st.projects[next].chapterOrder[0];
+  st.activeSceneId = "";
   store.set(st);
   renderAll();
   toast("Project deleted");
@@ -457,6 +2606,7 @@ function createChapter() {
   p.chapters[cid] = { id: cid, title: `Chapter ${p.chapterOrder.length + 1}`, text: "" };
   p.chapterOrder.push(cid);
   st.activeChapterId = cid;
+  st.activeSceneId = "";
   store.set(st);
   renderAll();
   toast("Chapter added");
@@ -482,6 +2632,7 @@ function autoSplitChapters() {
   });
 
   st.activeChapterId = p.chapterOrder[0];
+  st.activeSceneId = "";
   store.set(st);
   renderAll();
   toast(`Split into ${markers.length} chapters`);
@@ -500,10 +2651,12 @@ async function importDocx() {
     const result = await mammoth.extractRawText({ arrayBuffer });
     const text = (result.value || "").trim();
 
-    // Put into current chapter
-    const { st, c } = getActive();
+    // Put into current chapter, keeping both versions in its history
+    const { st, p, c } = getActive();
+    addRevision(p, c.id, c.text, { label: "Before DOCX import", source: "import" });
     c.text = text;
-    store.set(st);
+    addRevision(p, c.id, c.text, { label: `DOCX import: ${f.name}`, source: "import" });
+    store.set(st, `chapters/${c.id}`, `revisions/${c.id}`);
     renderAll();
     toast("Imported DOCX into current chapter");
     log("DOCX import complete");
@@ -566,6 +2719,151 @@ function downloadBlob(blob, filename) {
   URL.revokeObjectURL(url);
 }
 
+/* -----------------------------
+   Project bundles (portable export / import)
+   - one JSON file with chapters, caches, revisions, plan and planner chat
+   - every imported ID is remapped so bundles never collide with local data
+--------------------------------*/
+const BUNDLE_FORMAT = "author-house-bundle";
+const BUNDLE_VERSION = 1;
+
+function exportBundle() {
+  const { p } = getActive();
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    bundleVersion: BUNDLE_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    project: p
+  };
+  downloadBlob(new Blob([JSON.stringify(bundle, null, 2)], { type: "application/json" }), `${safeFile(p.title)}.authorhouse.json`);
+  log(`Bundle exported: ${p.title}`);
+  toast("Project bundle exported");
+}
+
+async function readBundleFile() {
+  const f = els("bundleInput").files?.[0];
+  if (!f) throw new Error("Choose a bundle (.json) file first.");
+  let bundle;
+  try {
+    bundle = JSON.parse(await f.text());
+  } catch {
+    throw new Error("That file is not valid JSON.");
+  }
+  if (bundle?.format !== BUNDLE_FORMAT || !bundle.project?.chapters) {
+    throw new Error("That file is not an Author House project bundle.");
+  }
+
+  // Bring the bundled project up to the current schema with the normal migrations
+  const pid = bundle.project.id || "bundle";
+  const wrapper = {
+    schemaVersion: bundle.schemaVersion,
+    activeProjectId: pid,
+    projects: { [pid]: { ...bundle.project, id: pid } },
+    settings: {},
+    logs: []
+  };
+  try {
+    migrateState(wrapper);
+  } catch (e) {
+    if (e.code === "SCHEMA_TOO_NEW") throw new Error("This bundle was made by a newer version of Author House. Update the app to import it.");
+    throw e;
+  }
+  return wrapper.projects[pid];
+}
+
+// Deep copy of a project with fresh project, chapter, scene and revision IDs
+function remapProjectIds(src) {
+  const p = JSON.parse(JSON.stringify(src));
+  const ids = {};
+  const mapId = (old) => ids[old] || (ids[old] = crypto.randomUUID());
+
+  p.id = crypto.randomUUID();
+  const chapters = {};
+  const sceneIds = {};
+  for (const cid of Object.keys(p.chapters)) {
+    const c = p.chapters[cid];
+    const scenes = c.scenes?.map(s => ({ ...s, id: sceneIds[s.id] = crypto.randomUUID() }));
+    chapters[mapId(cid)] = { ...c, id: mapId(cid), ...(scenes ? { scenes } : {}) };
+  }
+  p.chapters = chapters;
+  p.chapterOrder = (p.chapterOrder || []).filter(cid => ids[cid]).map(mapId);
+  // chapters missing from the order still come along, at the end
+  for (const cid of Object.keys(chapters)) if (!p.chapterOrder.includes(cid)) p.chapterOrder.push(cid);
+
+  const revisions = {};
+  for (const [cid, list] of Object.entries(p.revisions || {})) {
+    if (ids[cid]) revisions[ids[cid]] = list.map(r => ({ ...r, id: crypto.randomUUID() }));
+  }
+  p.revisions = revisions;
+
+  const summaries = {};
+  for (const [cid, text] of Object.entries(p.cache.summaries || {})) if (ids[cid]) summaries[ids[cid]] = text;
+  p.cache.summaries = summaries;
+  const sceneSummaries = {};
+  for (const [sid, text] of Object.entries(p.cache.sceneSummaries || {})) if (sceneIds[sid]) sceneSummaries[sceneIds[sid]] = text;
+  p.cache.sceneSummaries = sceneSummaries;
+
+  if (p.timeline) {
+    p.timeline.events = p.timeline.events.map(e => ({ ...e, id: crypto.randomUUID(), chapterId: ids[e.chapterId] || "" }));
+    p.timeline.read = Object.fromEntries(Object.entries(p.timeline.read || {}).filter(([cid]) => ids[cid]).map(([cid, h]) => [ids[cid], h]));
+  }
+  p.cache.chapterFacts = Object.fromEntries(Object.entries(p.cache.chapterFacts || {}).filter(([cid]) => ids[cid]).map(([cid, f]) => [ids[cid], f]));
+  for (const [kind, byChapter] of Object.entries(p.cache.bookNotes || {})) {
+    p.cache.bookNotes[kind] = Object.fromEntries(Object.entries(byChapter).filter(([cid]) => ids[cid]).map(([cid, n]) => [ids[cid], n]));
+  }
+  return p;
+}
+
+async function importBundleAsNew() {
+  try {
+    const incoming = remapProjectIds(await readBundleFile());
+    const st = store.get();
+    st.projects[incoming.id] = incoming;
+    st.activeProjectId = incoming.id;
+    st.activeChapterId = incoming.chapterOrder[0];
+    st.activeSceneId = "";
+    store.set(st);
+    renderAll();
+    log(`Bundle imported as new project: ${incoming.title} (${incoming.chapterOrder.length} chapters)`);
+    toast("Bundle imported as a new project");
+  } catch (e) {
+    log(`Bundle import error: ${String(e?.message || e)}`);
+    toast(String(e?.message || "Bundle import failed (see logs)."));
+  }
+}
+
+async function mergeBundleIntoCurrent() {
+  try {
+    const incoming = remapProjectIds(await readBundleFile());
+    const { st, p } = getActive();
+    if (!confirm(`Append ${incoming.chapterOrder.length} chapter(s) from "${incoming.title}" to "${p.title}"?`)) return;
+
+    Object.assign(p.chapters, incoming.chapters);
+    p.chapterOrder.push(...incoming.chapterOrder);
+    Object.assign(p.revisions, incoming.revisions);
+
+    // keep what this project already has; fill gaps from the bundle
+    const cache = p.cache;
+    Object.assign(cache.summaries, incoming.cache.summaries);
+    cache.sceneSummaries = { ...(cache.sceneSummaries || {}), ...incoming.cache.sceneSummaries };
+    cache.pipelineCache = { ...(incoming.cache.pipelineCache || {}), ...(cache.pipelineCache || {}) };
+    for (const k of ["styleGuide", "characterBible", "plotOutline"]) {
+      if (!cache[k] && incoming.cache[k]) cache[k] = incoming.cache[k];
+    }
+    if (!p.bookPlan && incoming.bookPlan) p.bookPlan = incoming.bookPlan;
+    if (!p.plannerChat.length) p.plannerChat = incoming.plannerChat || [];
+
+    store.set(st);
+    renderAll();
+    log(`Bundle merged into ${p.title}: ${incoming.chapterOrder.length} chapters from ${incoming.title}`);
+    toast("Bundle merged into current project");
+  } catch (e) {
+    log(`Bundle merge error: ${String(e?.message || e)}`);
+    toast(String(e?.message || "Bundle merge failed (see logs)."));
+  }
+}
+
 /* -----------------------------
    Editor helpers
 --------------------------------*/
@@ -600,115 +2898,1020 @@ function insertBelowCursor(text) {
   ta.dispatchEvent(new Event("input"));
 }
 
+/* -----------------------------
+   Prompt templates
+   - PROMPT_DEFAULTS are the built-in prompts, one per feature / pipeline role
+   - overrides: settings.prompts (global) and p.prompts (per project), each
+     { [id]: { versions: [{ at, system, user }] } }; the newest version wins,
+     project over global over built-in
+   - {{name}} placeholders are filled from the feature's variables plus the
+     project ones (projectTitle, chapterTitle, styleGuide, characterBible, plotOutline);
+     unknown names are left as written
+--------------------------------*/
+const MAX_PROMPT_VERSIONS = 20;
+const PROMPTS_FORMAT = "author-house-prompts";
+
+const PROMPT_DEFAULTS = {
+  lineEdit: {
+    name: "Line edit",
+    vars: ["selection", "context"],
+    system: "You are a world-class line editor. Be concise, professional, and improve clarity and rhythm.",
+    user: "{{context}}\n\nLine edit this. Keep meaning. Return only improved text.\n\n{{selection}}"
+  },
+  continue: {
+    name: "Continue writing",
+    vars: ["tail", "context"],
+    system: "You are a bestselling novelist. Continue in the same voice, pacing, tense, and POV. Avoid clichés.",
+    user: "{{context}}\n\nContinue from here. Keep it coherent and compelling.\n\n{{tail}}"
+  },
+  summary: {
+    name: "Chapter summary",
+    vars: ["text"],
+    system: "You produce structured summaries and track facts for continuity.",
+    user: "Summarize this chapter in 8 bullets. Then list key facts (names, dates, locations, promises, injuries, items) as a fact table.\n\n{{text}}"
+  },
+  styleGuide: {
+    name: "Style guide",
+    vars: ["text"],
+    system: "You extract a writing style guide for consistency (voice, tense, POV, formatting, conventions).",
+    user: "Create a compact style guide for this book. Include: POV/tense, tone, language level, dialogue style, formatting conventions, " +
+      "spelling (UK/US), character voice notes, recurring motifs, banned words, preferred phrasing. Be concise.\n\n{{text}}"
+  },
+  characterBible: {
+    name: "Character bible",
+    vars: ["text"],
+    system: "You build a structured character bible for continuity and future writing.",
+    user: "Build a character bible as JSON: {\"characters\": [...], \"locations\": [...], \"items\": [...], \"factions\": [...]}. " +
+      "Every entry has name, aliases and description; characters also have age, appearance, voice, goals, conflicts, relationships, " +
+      "secrets and timeline facts. If unknown, use null. Return only JSON.\n\n{{text}}"
+  },
+  "styleGuide.merge": {
+    name: "Style guide (merge)",
+    vars: ["notes"],
+    system: "You merge partial style guides for one book into a single consistent guide.",
+    user: "These style notes were taken from consecutive parts of the same book, in order. Merge them into one compact style guide " +
+      "with the same headings. Keep conventions that hold across the book, point out where parts disagree (tense or POV shifts, " +
+      "UK/US spelling), and drop repetition.\n\n{{notes}}"
+  },
+  "characterBible.merge": {
+    name: "Character bible (merge)",
+    vars: ["notes"],
+    system: "You merge partial character bibles for one book into a single JSON bible.",
+    user: "These character bibles were extracted from consecutive parts of the same book, in order. Merge them into one JSON " +
+      "character bible with the same shape and fields. Combine entries for the same character (including name variants), prefer " +
+      "later facts but record changes under timeline facts, and keep characters, locations, items and factions that appear in " +
+      "only one part. Return only JSON.\n\n{{notes}}"
+  },
+  continuityFacts: {
+    name: "Continuity facts",
+    vars: ["text"],
+    system: "You extract checkable continuity facts from fiction as JSON.",
+    user: "List the concrete facts this passage states about characters, items and dates. Return only JSON: " +
+      "{\"facts\": [{\"entity\": \"\", \"attribute\": \"\", \"subject\": \"\", \"value\": \"\", \"quote\": \"\"}]}.\n" +
+      "attribute is one of: age, eye colour, hair colour, height, birthplace, injury, date, possession.\n" +
+      "- injury: subject is the body part without its side (\"arm\"), value is the side or detail (\"left\")\n" +
+      "- date: subject is the event, value is the date or day\n" +
+      "- possession: entity is the item, value is who has it\n" +
+      "- quote: the exact words from the passage, under 20 words\n" +
+      "Only facts stated in the passage; an empty list is fine.\n\n{{chapterTitle}}\n\n{{text}}"
+  },
+  timelineEvents: {
+    name: "Timeline events",
+    vars: ["text", "lastWhen"],
+    system: "You place the events of a novel on its in-story calendar and answer in JSON.",
+    user: "List the events of this chapter in the order they happen in the story (not the order told). Return only JSON: " +
+      "{\"events\": [{\"title\": \"\", \"when\": \"\", \"characters\": [], \"location\": \"\", \"ages\": {}}]}.\n" +
+      "- when: a date as YYYY-MM-DD if the book gives real dates, otherwise \"Day N\" counted from the start of the story; " +
+      "add HH:MM or morning/afternoon/evening/night when known. Flashbacks get their own earlier date.\n" +
+      "- The story had reached {{lastWhen}} before this chapter.\n" +
+      "- ages: only ages the text states, as {\"Name\": 30}.\n\n{{chapterTitle}}\n\n{{text}}"
+  },
+  jsonRepair: {
+    name: "JSON repair",
+    vars: ["text"],
+    system: "You fix malformed JSON. Reply with valid JSON only, no commentary or code fences.",
+    user: "This was meant to be JSON but does not parse. Return it as valid JSON with the same content and structure; " +
+      "finish any entry that was cut off or drop it.\n\n{{text}}"
+  },
+  ...Object.fromEntries([
+    ["developmental", "Developmental Editor", "Plot, pacing, structure, stakes, character arcs, logic gaps."],
+    ["line", "Line Editor", "Clarity, flow, voice, repetition, imagery, dialogue quality."],
+    ["copy", "Copy Editor", "Grammar, punctuation, spelling, continuity, formatting issues."],
+    ["market", "Market Editor", "Hook strength, genre fit, positioning, blurb angles, comp titles."]
+  ].map(([id, role, task]) => [`pipeline.${id}`, {
+    name: `Pipeline: ${role}`,
+    vars: ["brief", "chunk"],
+    system: "",
+    user: `{{brief}}\n\nROLE: ${role}\nROLE TASK: ${task}\n\n` +
+      "Return bullet points only. Be specific: quote short fragments when helpful. No fluff.\n\nTEXT CHUNK:\n{{chunk}}"
+  }])),
+  planner: {
+    name: "Book planner chat",
+    vars: ["message"],
+    system: "You are an expert book planning assistant. Help the author develop their book idea by asking questions about genre, plot, characters, target word count, and chapter structure. Be conversational and helpful. When the author confirms they're ready, provide a complete book plan with: title, genre, target word count, number of chapters, chapter titles, plot outline, character descriptions, and writing style notes.",
+    user: "{{message}}"
+  },
+  planExtract: {
+    name: "Book plan extraction",
+    vars: [],
+    system: "Extract a structured book plan from the conversation. Return JSON with: {title, genre, targetWordCount, numChapters, chapterTitles: [], plotOutline, characterDescriptions, styleNotes}. If info is missing, use reasonable defaults.",
+    user: "Extract the book plan as JSON now."
+  },
+  bookChapter: {
+    name: "Write entire book: chapter",
+    vars: ["chapterNumber", "genre", "wordsPerChapter", "plotOutline", "characterDescriptions", "styleNotes", "previousSummary"],
+    system: "You are writing chapter {{chapterNumber}} of \"{{projectTitle}}\". Genre: {{genre}}. Target: ~{{wordsPerChapter}} words.\n\n" +
+      "Plot: {{plotOutline}}\nCharacters: {{characterDescriptions}}\nStyle: {{styleNotes}}\n\n" +
+      "Write engaging, well-structured prose. Use proper paragraphing and dialogue.",
+    user: "Write chapter {{chapterNumber}}: \"{{chapterTitle}}\".\n\n{{previousSummary}}\n\nWrite approximately {{wordsPerChapter}} words."
+  },
+  bookSummary: {
+    name: "Write entire book: running summary",
+    vars: ["text"],
+    system: "Summarize this chapter in 3-4 sentences for continuity.",
+    user: "{{text}}"
+  }
+};
+
+function latestVersion(lib, id) {
+  const versions = lib?.[id]?.versions;
+  return versions?.length ? versions[versions.length - 1] : null;
+}
+
+function promptTemplate(id, p = getActive().p) {
+  return latestVersion(p?.prompts, id) || latestVersion(store.get().settings.prompts, id) || PROMPT_DEFAULTS[id];
+}
+
+// Blank lines left around empty variables are tidied up; substituted text is inserted exactly as given
+function fillTemplate(tpl, vars) {
+  const values = [];
+  return String(tpl || "")
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (m, k) => {
+      if (!(k in vars)) return m;
+      const v = String(vars[k] ?? "");
+      if (!v.trim()) return "";
+      values.push(v);
+      return `\u0000${values.length - 1}\u0000`;
+    })
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()
+    .replace(/\u0000(\d+)\u0000/g, (m, i) => values[i]);
+}
+
+function projectVars(p, c) {
+  const scene = c && c.id === store.get().activeChapterId ? activeScene()?.scene : null;
+  return {
+    projectTitle: p?.title || "",
+    chapterTitle: c?.title || "",
+    styleGuide: p?.cache?.styleGuide || "",
+    characterBible: (p?.bible?.entities.length ? bibleText(p) : p?.cache?.characterBible) || "",
+    plotOutline: p?.cache?.plotOutline || "",
+    sceneTitle: scene?.title || "",
+    scenePov: scene?.pov || "",
+    sceneLocation: scene?.location || "",
+    sceneSynopsis: scene?.synopsis || ""
+  };
+}
+
+// Template id + feature variables -> chat messages (system omitted when empty)
+function promptMessages(id, vars = {}, { p, c } = getActive()) {
+  const tpl = promptTemplate(id, p);
+  // the feature's own variables default to empty rather than staying as {{name}}
+  const declared = Object.fromEntries((PROMPT_DEFAULTS[id]?.vars || []).map(v => [v, ""]));
+  const all = { ...declared, ...projectVars(p, c), ...vars };
+  const system = fillTemplate(tpl.system, all);
+  let user = fillTemplate(tpl.user, all);
+  // overrides saved without {{context}} still get the context pack, ahead of the request
+  if (all.context && !/\{\{\s*context\s*\}\}/.test(`${tpl.system || ""}\n${tpl.user || ""}`)) {
+    user = user ? `${all.context}\n\n${user}` : all.context;
+  }
+  return [
+    ...(system ? [{ role: "system", content: system }] : []),
+    { role: "user", content: user }
+  ];
+}
+
+function promptLibrary(scope, create = false) {
+  const st = store.get();
+  if (scope === "global") return create ? (st.settings.prompts = st.settings.prompts || {}) : st.settings.prompts;
+  const { p } = getActive();
+  return create ? (p.prompts = p.prompts || {}) : p.prompts;
+}
+
+function pushPromptVersion(lib, id, { system, user }) {
+  const entry = lib[id] = lib[id] || { versions: [] };
+  const last = entry.versions[entry.versions.length - 1];
+  if (last && last.system === system && last.user === user) return false;
+  entry.versions.push({ at: Date.now(), system, user });
+  if (entry.versions.length > MAX_PROMPT_VERSIONS) entry.versions = entry.versions.slice(-MAX_PROMPT_VERSIONS);
+  return true;
+}
+
+// The form is only refilled when another template, scope or project is picked (or force,
+// after saving/restoring), so re-renders from sync don't wipe unsaved edits
+let promptFormKey = "";
+
+function renderPromptEditor(force = false) {
+  const idSel = els("promptId");
+  if (!idSel.options.length) {
+    for (const [id, d] of Object.entries(PROMPT_DEFAULTS)) {
+      const opt = document.createElement("option");
+      opt.value = id;
+      opt.textContent = d.name;
+      idSel.appendChild(opt);
+    }
+  }
+  const id = idSel.value || Object.keys(PROMPT_DEFAULTS)[0];
+  const scope = els("promptScope").value;
+  const lib = promptLibrary(scope);
+  const own = latestVersion(lib, id);
+  const tpl = own || (scope === "project" ? promptTemplate(id) : PROMPT_DEFAULTS[id]);
+
+  const formKey = `${scope}:${id}:${scope === "project" ? store.get().activeProjectId : ""}`;
+  if (force || formKey !== promptFormKey) {
+    els("promptSystem").value = tpl.system;
+    els("promptUser").value = tpl.user;
+    promptFormKey = formKey;
+  }
+  const vars = [...PROMPT_DEFAULTS[id].vars, ...Object.keys(projectVars())];
+  els("promptVars").textContent = `Variables: ${vars.map(v => `{{${v}}}`).join(" ")}`;
+
+  const versions = lib?.[id]?.versions || [];
+  const inherited = scope === "project" && latestVersion(store.get().settings.prompts, id) ? "global default" : "built-in default";
+  els("promptSource").textContent = own
+    ? `Using ${scope === "project" ? "this project's" : "the global"} version ${versions.length}.`
+    : `Using the ${scope === "project" ? inherited : "built-in default"} (no ${scope} override yet).`;
+
+  const vSel = els("promptVersions");
+  vSel.innerHTML = "";
+  versions.slice().reverse().forEach((v, i) => {
+    const opt = document.createElement("option");
+    opt.value = String(versions.length - 1 - i);
+    opt.textContent = `v${versions.length - i} — ${new Date(v.at).toLocaleString()}`;
+    vSel.appendChild(opt);
+  });
+}
+
+function savePrompt() {
+  const id = els("promptId").value;
+  const scope = els("promptScope").value;
+  const changed = pushPromptVersion(promptLibrary(scope, true), id, {
+    system: els("promptSystem").value,
+    user: els("promptUser").value
+  });
+  store.set(store.get());
+  renderPromptEditor(true);
+  toast(changed ? `Saved ${PROMPT_DEFAULTS[id].name} (${scope})` : "No changes to save.");
+}
+
+function restorePromptVersion() {
+  const id = els("promptId").value;
+  const lib = promptLibrary(els("promptScope").value);
+  const v = lib?.[id]?.versions?.[Number(els("promptVersions").value)];
+  if (!v) return toast("Pick a version first.");
+  pushPromptVersion(lib, id, v);
+  store.set(store.get());
+  renderPromptEditor(true);
+  toast("Version restored as the newest");
+}
+
+function resetPrompt() {
+  const id = els("promptId").value;
+  const scope = els("promptScope").value;
+  const lib = promptLibrary(scope);
+  if (!lib?.[id]) return toast("Already using the default.");
+  if (!confirm(`Reset "${PROMPT_DEFAULTS[id].name}" to its default? The ${scope} version history for it is deleted.`)) return;
+  delete lib[id];
+  store.set(store.get());
+  renderPromptEditor(true);
+  toast("Prompt reset to default");
+}
+
+function exportPrompts() {
+  const scope = els("promptScope").value;
+  const payload = { format: PROMPTS_FORMAT, version: 1, exportedAt: new Date().toISOString(), prompts: promptLibrary(scope) || {} };
+  const name = scope === "global" ? "global" : safeFile(getActive().p.title);
+  downloadBlob(new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" }), `${name}_prompts.json`);
+  toast("Prompts exported");
+}
+
+// Imported versions are appended to the current scope's history; unknown ids are skipped
+async function importPrompts() {
+  const f = els("promptImport").files?.[0];
+  if (!f) return toast("Choose a prompts (.json) file first.");
+  try {
+    let data;
+    try {
+      data = JSON.parse(await f.text());
+    } catch {
+      throw new Error("That file is not valid JSON.");
+    }
+    if (data?.format !== PROMPTS_FORMAT || typeof data.prompts !== "object") throw new Error("That file is not an Author House prompts export.");
+    const lib = promptLibrary(els("promptScope").value, true);
+    let count = 0;
+    for (const [id, entry] of Object.entries(data.prompts || {})) {
+      if (!PROMPT_DEFAULTS[id]) continue;
+      for (const v of entry?.versions || []) {
+        if (typeof v?.system !== "string" || typeof v?.user !== "string") continue;
+        if (pushPromptVersion(lib, id, { system: v.system, user: v.user })) count++;
+      }
+    }
+    store.set(store.get());
+    renderPromptEditor(true);
+    log(`Imported ${count} prompt version(s) from ${f.name}`);
+    toast(`Imported ${count} prompt version(s)`);
+  } catch (e) {
+    log(`Prompt import error: ${String(e?.message || e)}`);
+    toast(e.message);
+  }
+}
+
 /* -----------------------------
    Quick AI Actions (token-light)
 --------------------------------*/
 const limiter = () => {
   const st = store.get();
-  return new RateLimiter({ minIntervalMs: st.settings.minIntervalMs, maxConcurrent: st.settings.maxConcurrent });
+  const r = new RateLimiter({ minIntervalMs: st.settings.minIntervalMs, maxConcurrent: st.settings.maxConcurrent });
+  r.onChange = renderJobs;
+  return r;
 };
 let rate = limiter();
 
 async function quickLineEdit() {
   const sel = getSelectionInEditor();
   const { c } = getActive();
-  const input = sel.trim() ? sel : (c.text || "");
+  const input = sel.trim() ? sel : editorText(c);
   if (!input.trim()) return toast("Nothing to edit.");
 
   // Token-light: cap size
   const clipped = clipByTokens(input, 1200);
+  const { p } = getActive();
 
   setStatus("AI…");
-  log("Quick line edit started");
+  const job = startJob("Line edit");
   try {
-    const out = await withRetries(() => rate.schedule(() =>
-      callGroqChat([
-        { role: "system", content: "You are a world-class line editor. Be concise, professional, and improve clarity and rhythm." },
-        { role: "user", content: `Line edit this. Keep meaning. Return only improved text.\n\n${clipped}` }
-      ], 800)
-    ), 2);
+    // retrieval can embed passages first, so it runs inside the (cancellable) job
+    const related = await retrievePassages(p, clipped, { skip: alreadyIn(clipped), signal: job.signal });
+    const context = buildContextPack(p, c, clipped, undefined, related);
+    log(`Quick line edit started${context.tokens ? ` (context: ${context.sections.join(", ")}, ~${context.tokens} tokens)` : ""}`);
+    const out = await withRetries(() => job.schedule(() =>
+      callAI(promptMessages("lineEdit", { selection: clipped, context: context.text }), 800, { feature: "lineEdit", signal: job.signal, onToken: streamInto(els("aiOut")) })
+    ), 2, job.signal);
     els("aiOut").textContent = out;
     toast("AI output ready");
   } catch (e) {
+    if (isAbort(e)) return toast("Line edit cancelled.");
     log(`Quick line edit error: ${String(e?.message || e)}`);
     toast("AI edit failed (see logs).");
   } finally {
+    finishJob(job);
     setStatus("Ready");
   }
 }
 
 async function quickContinue() {
   const { c } = getActive();
-  const t = (c.text || "");
+  const t = editorText(c);
   if (!t.trim()) return toast("Write something first.");
 
   // last ~900 words / token-light window
   const windowText = tailWords(t, 900);
+  const { p } = getActive();
+
+  setStatus("AI…");
+  const job = startJob("Continue writing");
+  try {
+    const related = await retrievePassages(p, windowText, { skip: alreadyIn(windowText), signal: job.signal });
+    const context = buildContextPack(p, c, windowText, undefined, related);
+    log(`Continue writing started${context.tokens ? ` (context: ${context.sections.join(", ")}, ~${context.tokens} tokens)` : ""}`);
+    const out = await withRetries(() => job.schedule(() =>
+      callAI(promptMessages("continue", { tail: windowText, context: context.text }), 700, { feature: "continue", signal: job.signal, onToken: streamInto(els("aiOut")) })
+    ), 2, job.signal);
+    els("aiOut").textContent = out;
+    toast("AI continuation ready");
+  } catch (e) {
+    if (isAbort(e)) return toast("Continue writing cancelled.");
+    log(`Continue writing error: ${String(e?.message || e)}`);
+    toast("AI continue failed (see logs).");
+  } finally {
+    finishJob(job);
+    setStatus("Ready");
+  }
+}
+
+async function quickSummaryFacts() {
+  const { st, p, c } = getActive();
+  const scene = activeScene()?.scene;
+  const text = editorText(c);
+  if (!text.trim()) return toast(scene ? "Scene is empty." : "Chapter is empty.");
+
+  setStatus("AI…");
+  log(`${scene ? "Scene" : "Chapter"} summary started`);
+  const job = startJob("Chapter summary");
+  try {
+    const out = await withRetries(() => job.schedule(() =>
+      callAI(promptMessages("summary", { text: clipByTokens(text, 1200) }), 700, { feature: "summary", signal: job.signal, onToken: streamInto(els("aiOut")) })
+    ), 2, job.signal);
+
+    if (scene) (p.cache.sceneSummaries = p.cache.sceneSummaries || {})[scene.id] = out;
+    else p.cache.summaries[c.id] = out;
+    store.set(st, `caches/${p.id}`);
+
+    els("aiOut").textContent = out;
+    toast("Summary + facts ready");
+  } catch (e) {
+    if (isAbort(e)) return toast("Summary cancelled.");
+    log(`Summary error: ${String(e?.message || e)}`);
+    toast("Summary failed (see logs).");
+  } finally {
+    finishJob(job);
+    setStatus("Ready");
+  }
+}
+
+function clipByTokens(text, maxTokens) {
+  const t = (text || "").trim();
+  if (!t) return "";
+  if (estimateTokens(t) <= maxTokens) return t;
+  const ratio = maxTokens / estimateTokens(t);
+  const targetChars = Math.max(1000, Math.floor(t.length * ratio));
+  return t.slice(0, targetChars);
+}
+
+function tailWords(text, n) {
+  const words = (text || "").split(/\s+/).filter(Boolean);
+  const slice = words.slice(Math.max(0, words.length - n));
+  return slice.join(" ");
+}
+
+/* -----------------------------
+   Context pack (continue + line edit)
+   - style guide, bible entries for characters named in the window, related
+     passages from the retrieval index, the plan's outline around this
+     chapter, and summaries of earlier chapters
+   - fitted into settings.contextBudget tokens: each section gets a share of
+     the budget, in that order, and hands what it doesn't use to the next
+--------------------------------*/
+const CONTEXT_SHARES = { styleGuide: 0.25, characters: 0.25, related: 0.2, outline: 0.1, summaries: 1 };
+
+// Character bible (JSON from buildCharacterBible, or free text) -> [{ name, text }]
+function characterEntries(bible) {
+  const raw = String(bible || "").trim();
+  if (!raw) return [];
+  try {
+    const json = JSON.parse(raw.match(/[[{][\s\S]*[\]}]/)?.[0] || raw);
+    const found = [];
+    const walk = (v, key) => {
+      if (Array.isArray(v)) return v.forEach(x => walk(x));
+      if (!v || typeof v !== "object") return;
+      const name = typeof v.name === "string" ? v.name : (key && /^[A-Z]/.test(key) ? key : "");
+      if (name && Object.keys(v).length > 1) return found.push({ name, text: JSON.stringify(v) });
+      for (const [k, x] of Object.entries(v)) walk(x, k);
+    };
+    walk(json);
+    if (found.length) return found;
+  } catch {
+    // not JSON: fall through to text blocks
+  }
+  return raw.split(/\n{2,}/).map(block => {
+    const head = block.split("\n")[0].replace(/^[#*\-\s]+|\*+/g, "");
+    return { name: head.split(/\s*(?:[:(]| [—–-] )/)[0].trim(), text: block.trim() };
+  }).filter(e => e.name && e.name.length <= 60);
+}
+
+// Story bible entities (with the user's edits) if there are any, else the raw character bible
+function bibleEntries(p) {
+  const entities = projectBible(p).entities;
+  if (!entities.length) return characterEntries(p.cache.characterBible).map(e => ({ names: [e.name], text: e.text }));
+  return entities.map(e => ({
+    names: [e.name, ...e.aliases],
+    text: [`${e.name} (${e.kind})`, e.summary, ...Object.entries(e.details).map(([k, v]) => `${k}: ${v}`)].filter(Boolean).join("\n")
+  }));
+}
+
+// An entry is relevant if its full name or any part of it (3+ letters) appears in the window
+function mentionedIn(name, text) {
+  const parts = [name, ...name.split(/\s+/)].filter(w => w.length >= 3);
+  return parts.some(w => new RegExp(`\\b${w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`).test(text));
+}
+
+// related: passages from retrievePassages, best first
+function buildContextPack(p, c, windowText, budget = store.get().settings.contextBudget, related = []) {
+  if (!budget) return { text: "", tokens: 0, sections: [] };
+  const idx = p.chapterOrder.indexOf(c.id);
+  const plan = p.bookPlan;
+
+  const outline = [];
+  if (plan?.plotOutline) outline.push(`Plot: ${plan.plotOutline}`);
+  const titles = p.chapterOrder.map(cid => p.chapters[cid].title);
+  if (idx >= 0) {
+    if (idx > 0) outline.push(`Previous chapter: ${titles[idx - 1]}`);
+    outline.push(`This chapter (${idx + 1}/${titles.length}): ${titles[idx]}`);
+    const scene = c.id === store.get().activeChapterId && activeScene()?.scene;
+    if (scene) {
+      outline.push(`This scene: ${scene.title}${scene.pov ? `, POV ${scene.pov}` : ""}${scene.location ? `, at ${scene.location}` : ""}${scene.synopsis ? ` — ${scene.synopsis}` : ""}`);
+    }
+    if (titles[idx + 1]) outline.push(`Next chapter: ${titles[idx + 1]}`);
+  }
+
+  // nearest earlier chapters matter most, so they are taken first
+  const summaries = p.chapterOrder.slice(0, Math.max(0, idx)).reverse()
+    .map(cid => p.cache.summaries?.[cid] ? `${p.chapters[cid].title}:\n${p.cache.summaries[cid]}` : "")
+    .filter(Boolean);
+
+  const candidates = [
+    ["styleGuide", "STYLE GUIDE", [p.cache.styleGuide || ""].filter(Boolean)],
+    ["characters", "BIBLE ENTRIES IN THIS PASSAGE", bibleEntries(p).filter(e => e.names.some(n => mentionedIn(n, windowText))).map(e => e.text)],
+    ["related", "RELATED PASSAGES", related.map(h => `[${h.title}] ${h.text}`)],
+    ["outline", "OUTLINE", plan || titles.length > 1 ? [outline.join("\n")] : []],
+    ["summaries", "EARLIER CHAPTERS (most recent first)", summaries]
+  ];
+
+  let left = budget;
+  let carry = 0;
+  const sections = [];
+  for (const [key, title, items] of candidates) {
+    let allow = Math.min(left, Math.floor(budget * CONTEXT_SHARES[key]) + carry);
+    const kept = [];
+    for (const item of items) {
+      if (allow < 40) break;
+      const clipped = estimateTokens(item) <= allow ? item : clipByTokens(item, allow);
+      if (estimateTokens(clipped) > allow) break;
+      kept.push(clipped);
+      allow -= estimateTokens(clipped);
+    }
+    const used = kept.reduce((n, t) => n + estimateTokens(t), 0);
+    carry = Math.max(0, Math.floor(budget * CONTEXT_SHARES[key]) + carry - used);
+    left -= used;
+    if (kept.length) sections.push({ key, text: `${title}:\n${kept.join("\n\n")}` });
+  }
+  const text = sections.length
+    ? `CONTEXT (for consistency only; do not repeat it):\n\n${sections.map(x => x.text).join("\n\n")}`
+    : "";
+  return { text, tokens: estimateTokens(text), sections: sections.map(x => x.key) };
+}
+
+/* -----------------------------
+   Retrieval index (local, per project)
+   - chapters are cut into small chunks and ranked with BM25; nothing leaves
+     the browser
+   - refreshed lazily on each query: chapters whose text hash is unchanged
+     keep their chunks, and term counts are reused by chunk hash, so an edit
+     only re-indexes the paragraphs it touched
+   - with settings.retrievalEmbeddings, chunk vectors from a WebLLM embedding
+     model are cached by chunk hash (store.embeddings) and blended in
+--------------------------------*/
+const RETRIEVAL_CHUNK_TOKENS = 260;
+const BM25 = { k1: 1.2, b: 0.75 };
+const RETRIEVAL_STOP = new Set(("the and a an to of in it is was i you he she they we that this for on with as at by from or but not be are " +
+  "have had his her him them their its my me our your were been do did so if then than there what when which who all no up out into " +
+  "over just said would could will can one about like").split(" "));
+const retrievalIndex = new Map(); // projectId -> { chapters, terms, docs, df, avgLen, orderKey }
+
+function retrievalTerms(text) {
+  return (String(text || "").toLowerCase().match(/[a-z0-9']+/g) || [])
+    .map(w => w.replace(/'s$|'/g, ""))
+    .filter(w => w.length > 1 && !RETRIEVAL_STOP.has(w));
+}
+
+function termStats(text) {
+  const terms = retrievalTerms(text);
+  const tf = new Map();
+  for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+  return { tf, len: terms.length };
+}
+
+function updateIndex(p) {
+  let idx = retrievalIndex.get(p.id);
+  if (!idx) retrievalIndex.set(p.id, idx = { chapters: new Map(), terms: new Map(), docs: [], df: new Map(), avgLen: 0, orderKey: null });
+  let changed = false;
+  for (const cid of [...idx.chapters.keys()]) {
+    if (!p.chapterOrder.includes(cid)) { idx.chapters.delete(cid); changed = true; }
+  }
+  for (const cid of p.chapterOrder) {
+    const text = p.chapters[cid]?.text || "";
+    const hash = hashText(text);
+    if (idx.chapters.get(cid)?.hash === hash) continue;
+    idx.chapters.set(cid, { hash, chunks: chunkText(text, { maxTokens: RETRIEVAL_CHUNK_TOKENS, overlapTokens: 30 }) });
+    changed = true;
+  }
+  const orderKey = p.chapterOrder.join(",");
+  if (!changed && idx.orderKey === orderKey) return idx;
+
+  // docs are rebuilt in book order; stats for chunks that no longer exist are dropped
+  const terms = new Map();
+  idx.docs = [];
+  for (const cid of p.chapterOrder) {
+    for (const ch of idx.chapters.get(cid).chunks) {
+      const stats = terms.get(ch.hash) || idx.terms.get(ch.hash) || termStats(ch.text);
+      terms.set(ch.hash, stats);
+      idx.docs.push({ cid, hash: ch.hash, text: ch.text, pos: idx.docs.length, ...stats });
+    }
+  }
+  idx.terms = terms;
+  idx.df = new Map();
+  for (const d of idx.docs) for (const t of d.tf.keys()) idx.df.set(t, (idx.df.get(t) || 0) + 1);
+  idx.avgLen = idx.docs.reduce((n, d) => n + d.len, 0) / (idx.docs.length || 1);
+  idx.orderKey = orderKey;
+  return idx;
+}
+
+function bm25Scores(idx, query) {
+  const terms = [...new Set(retrievalTerms(query))];
+  const n = idx.docs.length;
+  return idx.docs.map(d => {
+    let score = 0;
+    for (const t of terms) {
+      const f = d.tf.get(t);
+      if (!f) continue;
+      const df = idx.df.get(t);
+      const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+      score += idf * f * (BM25.k1 + 1) / (f + BM25.k1 * (1 - BM25.b + BM25.b * d.len / (idx.avgLen || 1)));
+    }
+    return score;
+  });
+}
+
+let embeddingEngine = null; // { engine, model }
+
+async function embedTexts(texts, signal) {
+  const model = store.get().settings.embeddingModel;
+  if (!isLocalModelAvailable()) throw new Error("Web LLM not loaded.");
+  if (embeddingEngine?.model !== model) {
+    setStatus(`Loading ${model}...`);
+    const engine = new window.MLCEngine();
+    await engine.reload(model);
+    embeddingEngine = { engine, model };
+  }
+  const out = [];
+  for (let i = 0; i < texts.length; i += 16) {
+    signal?.throwIfAborted();
+    const res = await embeddingEngine.engine.embeddings.create({ input: texts.slice(i, i + 16), model });
+    out.push(...res.data.map(d => d.embedding));
+  }
+  return out;
+}
+
+function unitVector(v) {
+  const len = Math.sqrt(v.reduce((n, x) => n + x * x, 0)) || 1;
+  return v.map(x => x / len);
+}
+
+// Cosine similarity of the query to every doc; missing chunk vectors are embedded and cached first
+async function embeddingScores(p, idx, query, signal) {
+  const model = store.get().settings.embeddingModel;
+  const cache = new Map();
+  for (const [hash, rec] of await store.embeddings([...new Set(idx.docs.map(d => d.hash))])) {
+    if (rec.model === model) cache.set(hash, rec.vector);
+  }
+  const missing = [...new Map(idx.docs.filter(d => !cache.has(d.hash)).map(d => [d.hash, d.text])).entries()];
+  if (missing.length) {
+    log(`Embedding ${missing.length} passage(s)`);
+    const vectors = await embedTexts(missing.map(([, text]) => text), signal);
+    const entries = missing.map(([hash], i) => [hash, { model, vector: unitVector(vectors[i]).map(x => round(x, 4)) }]);
+    entries.forEach(([hash, rec]) => cache.set(hash, rec.vector));
+    // chunks are shared by hash across projects, so only ones no project has are dropped
+    const live = new Set(Object.values(store.get().projects).flatMap(q => updateIndex(q).docs.map(d => d.hash)));
+    await store.saveEmbeddings(entries, live);
+  }
+  // arctic-embed style models expect this prefix on queries (not on passages)
+  const [q] = await embedTexts([`Represent this sentence for searching relevant passages: ${query}`], signal);
+  signal?.throwIfAborted();
+  const qv = unitVector(q);
+  return idx.docs.map(d => cache.get(d.hash).reduce((n, x, i) => n + x * qv[i], 0));
+}
+
+// -> [{ cid, title, text, pos, score }], best first; skip(doc) drops passages the caller already has
+async function retrievePassages(p, query, { k = store.get().settings.retrievalPassages, perChapter = k, skip = () => false, signal } = {}) {
+  if (!k || !String(query || "").trim()) return [];
+  const idx = updateIndex(p);
+  let scores = bm25Scores(idx, query);
+  if (store.get().settings.retrievalEmbeddings && idx.docs.length) {
+    try {
+      const sims = await embeddingScores(p, idx, query, signal);
+      const top = Math.max(...scores) || 1;
+      scores = scores.map((s, i) => 0.5 * s / top + 0.5 * Math.max(0, sims[i]));
+    } catch (e) {
+      if (isAbort(e)) throw e;
+      log(`Embeddings unavailable, using keyword search: ${String(e?.message || e)}`);
+    }
+  }
+  const ranked = idx.docs.map((d, i) => ({ d, score: scores[i] }))
+    .filter(x => x.score > 0 && !skip(x.d))
+    .sort((a, b) => b.score - a.score);
+  const perCid = new Map();
+  const out = [];
+  for (const { d, score } of ranked) {
+    if (out.length >= k) break;
+    if ((perCid.get(d.cid) || 0) >= perChapter) continue;
+    perCid.set(d.cid, (perCid.get(d.cid) || 0) + 1);
+    out.push({ cid: d.cid, title: p.chapters[d.cid].title, text: d.text, pos: d.pos, score });
+  }
+  return out;
+}
+
+// skip() for retrievePassages: drops passages that overlap text the prompt already carries
+function alreadyIn(text) {
+  const flat = String(text).replace(/\s+/g, " ");
+  return d => {
+    const t = d.text.replace(/\s+/g, " ");
+    return flat.includes(t.slice(0, 200)) || flat.includes(t.slice(-200));
+  };
+}
+
+/* -----------------------------
+   Custom quick actions (settings.quickActions)
+   - the template is the user message; {{input}} is the scoped text, plus the
+     project variables from Prompt templates
+   - the editor range is captured up front; if the chapter changes while the
+     action runs, replace/insert fall back to the AI Output panel
+--------------------------------*/
+const QUICK_ACTION_SYSTEM = "You are a skilled fiction editor and co-writer. Follow the instruction exactly and return only the resulting text, with no commentary.";
+
+// Editor range an action reads (and replaces) for its scope
+function actionRange(action) {
+  const ta = els("editor");
+  const value = ta.value;
+  if (action.scope === "selection") {
+    const start = ta.selectionStart ?? 0;
+    const end = ta.selectionEnd ?? 0;
+    return end > start ? { start, end } : null;
+  }
+  if (action.scope === "tail") {
+    const words = [...value.matchAll(/\S+/g)];
+    const n = Math.max(1, Number(action.tailWords) || 600);
+    const first = words[Math.max(0, words.length - n)];
+    return first ? { start: first.index, end: value.length } : null;
+  }
+  return value.trim() ? { start: 0, end: value.length } : null;
+}
+
+function spliceEditor(start, end, text) {
+  const ta = els("editor");
+  ta.value = ta.value.slice(0, start) + text + ta.value.slice(end);
+  ta.selectionStart = ta.selectionEnd = start + text.length;
+  ta.dispatchEvent(new Event("input"));
+}
+
+async function runQuickAction(id) {
+  const action = store.get().settings.quickActions.find(a => a.id === id);
+  if (!action) return toast("That quick action no longer exists.");
+  const range = actionRange(action);
+  if (!range) return toast(action.scope === "selection" ? "Select text first." : "Chapter is empty.");
+
+  const snapshot = els("editor").value;
+  const input = snapshot.slice(range.start, range.end);
+  // text that gets replaced is sent whole, a few paragraphs per request; otherwise a clip is enough
+  const replace = action.output === "replace";
+  const chunks = replace ? paragraphChunks(input, ACTION_CHUNK_TOKENS) : [{ text: clipByTokens(input, 1600), sep: "" }];
+  if (replace && chunks.some(ch => estimateTokens(ch.text) > ACTION_CHUNK_TOKENS)) {
+    return toast("A paragraph is too long to replace in one request — select less text.");
+  }
+  const { p, c } = getActive();
 
   setStatus("AI…");
-  log("Continue writing started");
+  log(`Quick action started: ${action.name}${chunks.length > 1 ? ` (${chunks.length} parts)` : ""}`);
+  const job = startJob(action.name);
   try {
-    const out = await withRetries(() => rate.schedule(() =>
-      callGroqChat([
-        { role: "system", content: "You are a bestselling novelist. Continue in the same voice, pacing, tense, and POV. Avoid clichés." },
-        { role: "user", content: `Continue from here. Keep it coherent and compelling.\n\n${windowText}` }
-      ], 700)
-    ), 2);
+    const related = action.template.includes("{{related}}")
+      ? (await retrievePassages(p, input, { skip: alreadyIn(input), signal: job.signal })).map(h => `[${h.title}] ${h.text}`).join("\n\n")
+      : "";
+    const vars = { ...projectVars(p, c), related };
+    let out = "";
+    for (const ch of chunks) {
+      if (!ch.text.trim()) {
+        out += ch.text + ch.sep;
+        continue;
+      }
+      const messages = [
+        { role: "system", content: QUICK_ACTION_SYSTEM },
+        { role: "user", content: fillTemplate(action.template, { ...vars, input: ch.text }) }
+      ];
+      const part = await withRetries(() => job.schedule(() =>
+        callAI(messages, replace ? ACTION_CHUNK_TOKENS + 400 : 1200, {
+          feature: "quickAction",
+          provider: action.provider,
+          model: action.model,
+          signal: job.signal,
+          onToken: streamInto(els("aiOut"), out)
+        })
+      ), 2, job.signal);
+      out += part.trim() + ch.sep;
+    }
+    out = out.trim();
     els("aiOut").textContent = out;
-    toast("AI continuation ready");
+
+    if (action.output === "panel") return toast(`${action.name}: output ready`);
+    if (els("editor").value !== snapshot) {
+      return toast("The chapter changed while the action ran — output left in AI Output.");
+    }
+    reviseActive(`Before ${action.name}`, "ai");
+    if (action.output === "replace") {
+      spliceEditor(range.start, range.end, out);
+    } else {
+      const before = snapshot.slice(0, range.end);
+      spliceEditor(range.end, range.end, `${before.endsWith("\n") ? "" : "\n"}\n${out}\n`);
+    }
+    toast(`${action.name}: ${action.output === "replace" ? "replaced" : "inserted"}`);
   } catch (e) {
-    log(`Continue writing error: ${String(e?.message || e)}`);
-    toast("AI continue failed (see logs).");
+    if (isAbort(e)) return toast(`${action.name} cancelled.`);
+    log(`Quick action error (${action.name}): ${String(e?.message || e)}`);
+    toast(`${action.name} failed (see logs).`);
   } finally {
+    finishJob(job);
     setStatus("Ready");
   }
 }
 
-async function quickSummaryFacts() {
-  const { st, p, c } = getActive();
-  const text = (c.text || "");
-  if (!text.trim()) return toast("Chapter is empty.");
+const ACTION_CHUNK_TOKENS = 1200; // input per request when an action replaces a long range
 
-  setStatus("AI…");
-  log("Chapter summary started");
-  try {
-    const out = await withRetries(() => rate.schedule(() =>
-      callGroqChat([
-        { role: "system", content: "You produce structured summaries and track facts for continuity." },
-        { role: "user", content:
-          "Summarize this chapter in 8 bullets. Then list key facts (names, dates, locations, promises, injuries, items) as a fact table.\n\n" +
-          clipByTokens(text, 1200)
-        }
-      ], 700)
-    ), 2);
+// Paragraph groups of at most maxTokens, each with the break that followed it,
+// so the rewritten parts can be joined back around the original breaks
+function paragraphChunks(text, maxTokens) {
+  const parts = text.split(/(\n\s*\n)/);
+  const chunks = [];
+  let cur = null;
+  for (let i = 0; i < parts.length; i += 2) {
+    const para = parts[i];
+    const sep = parts[i + 1] || "";
+    if (cur && estimateTokens(cur.text + cur.sep + para) <= maxTokens) {
+      cur.text += cur.sep + para;
+      cur.sep = sep;
+    } else {
+      chunks.push(cur = { text: para, sep });
+    }
+  }
+  return chunks;
+}
 
-    // cache
-    p.cache.summaries[c.id] = out;
-    store.set(st);
+function renderQuickActions(selected = els("actionSelect").value) {
+  const actions = store.get().settings.quickActions;
+  const box = els("customActions");
+  box.innerHTML = "";
+  for (const a of actions) {
+    const btn = document.createElement("button");
+    btn.className = "btn w100 mt6";
+    btn.textContent = a.name;
+    btn.title = `${a.scope} → ${a.output}`;
+    btn.onclick = () => runQuickAction(a.id);
+    box.appendChild(btn);
+  }
 
-    els("aiOut").textContent = out;
-    toast("Summary + facts ready");
-  } catch (e) {
-    log(`Summary error: ${String(e?.message || e)}`);
-    toast("Summary failed (see logs).");
-  } finally {
-    setStatus("Ready");
+  const sel = els("actionSelect");
+  sel.innerHTML = "";
+  for (const [value, name] of [["", "New action…"], ...actions.map(a => [a.id, a.name])]) {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = name;
+    sel.appendChild(opt);
+  }
+  sel.value = actions.some(a => a.id === selected) ? selected : "";
+
+  const prov = els("actionProvider");
+  if (!prov.options.length) {
+    for (const [id, name] of [["", "Default (routing)"], ...Object.entries(PROVIDERS).map(([id, pr]) => [id, pr.name])]) {
+      const opt = document.createElement("option");
+      opt.value = id;
+      opt.textContent = name;
+      prov.appendChild(opt);
+    }
   }
+  // only when the picked action changed: re-renders must not wipe unsaved edits
+  if (sel.value !== actionFormId) loadActionForm();
 }
 
-function clipByTokens(text, maxTokens) {
-  const t = (text || "").trim();
-  if (!t) return "";
-  if (estimateTokens(t) <= maxTokens) return t;
-  const ratio = maxTokens / estimateTokens(t);
-  const targetChars = Math.max(1000, Math.floor(t.length * ratio));
-  return t.slice(0, targetChars);
+let actionFormId = null; // action the builder form was last filled from ("" = new)
+
+function loadActionForm() {
+  actionFormId = els("actionSelect").value;
+  const a = store.get().settings.quickActions.find(x => x.id === actionFormId) ||
+    { name: "", template: "{{input}}", scope: "selection", tailWords: 600, output: "replace", provider: "", model: "" };
+  els("actionName").value = a.name;
+  els("actionTemplate").value = a.template;
+  els("actionScope").value = a.scope;
+  els("actionTailWords").value = a.tailWords;
+  els("actionOutput").value = a.output;
+  els("actionProvider").value = a.provider;
+  els("actionModel").value = a.model || "";
 }
 
-function tailWords(text, n) {
-  const words = (text || "").split(/\s+/).filter(Boolean);
-  const slice = words.slice(Math.max(0, words.length - n));
-  return slice.join(" ");
+function saveQuickAction() {
+  const name = els("actionName").value.trim();
+  const template = els("actionTemplate").value;
+  if (!name) return toast("Give the action a name.");
+  if (!template.includes("{{input}}")) return toast("The template needs {{input}} where the text goes.");
+  const st = store.get();
+  const id = els("actionSelect").value || `qa-${crypto.randomUUID()}`;
+  const action = {
+    id,
+    name,
+    template,
+    scope: els("actionScope").value,
+    tailWords: Math.max(1, Number(els("actionTailWords").value) || 600),
+    output: els("actionOutput").value,
+    provider: els("actionProvider").value,
+    model: els("actionModel").value.trim()
+  };
+  const i = st.settings.quickActions.findIndex(a => a.id === id);
+  if (i >= 0) st.settings.quickActions[i] = action;
+  else st.settings.quickActions.push(action);
+  store.set(st, "meta");
+  renderQuickActions(id);
+  toast(`Saved quick action: ${name}`);
+}
+
+function deleteQuickAction() {
+  const id = els("actionSelect").value;
+  const st = store.get();
+  const a = st.settings.quickActions.find(x => x.id === id);
+  if (!a) return toast("Pick an action to delete.");
+  if (!confirm(`Delete quick action "${a.name}"?`)) return;
+  st.settings.quickActions = st.settings.quickActions.filter(x => x.id !== id);
+  store.set(st, "meta");
+  renderQuickActions("");
+  toast("Quick action deleted");
+}
+
+/* -----------------------------
+   Command palette (Ctrl/Cmd+K)
+--------------------------------*/
+let paletteIndex = 0;
+
+function paletteCommands() {
+  const builtIn = [
+    ["Line edit", quickLineEdit],
+    ["Continue writing", quickContinue],
+    ["Chapter summary + key facts", quickSummaryFacts],
+    ["Run pipeline", runPipeline],
+    ["Build style guide", buildStyleGuide],
+    ["Build character bible", buildCharacterBible],
+    ["Check continuity", runContinuityCheck],
+    ["Extract timeline", extractTimeline],
+    ["Save point", savePoint],
+    ["Add chapter", createChapter],
+    ["Split chapter", () => splitChapter(getActive().c.id)],
+    ["Merge chapter with next", () => mergeWithNext(getActive().c.id)],
+    ["Apply AI output below cursor", applyAiInsert],
+    ["Replace selection with AI output", applyAiReplaceSelection]
+  ].map(([name, run]) => ({ name, run }));
+  const custom = store.get().settings.quickActions.map(a => ({ name: `Action: ${a.name}`, run: () => runQuickAction(a.id) }));
+  return [...custom, ...builtIn];
+}
+
+function openPalette() {
+  els("palette").classList.remove("hidden");
+  els("paletteInput").value = "";
+  paletteIndex = 0;
+  renderPalette();
+  els("paletteInput").focus();
+}
+
+function closePalette() {
+  els("palette").classList.add("hidden");
+  els("editor").focus();
+}
+
+function paletteMatches() {
+  const q = els("paletteInput").value.trim().toLowerCase();
+  return paletteCommands().filter(c => !q || q.split(/\s+/).every(w => c.name.toLowerCase().includes(w)));
+}
+
+function renderPalette() {
+  const list = els("paletteList");
+  list.innerHTML = "";
+  const matches = paletteMatches();
+  paletteIndex = Math.min(paletteIndex, Math.max(0, matches.length - 1));
+  matches.forEach((c, i) => {
+    const item = document.createElement("div");
+    item.className = `paletteItem${i === paletteIndex ? " active" : ""}`;
+    item.textContent = c.name;
+    item.onmousedown = (e) => {
+      e.preventDefault();
+      runPaletteCommand(c);
+    };
+    list.appendChild(item);
+  });
+  if (!matches.length) list.textContent = "No matching commands.";
+}
+
+function runPaletteCommand(cmd) {
+  closePalette();
+  cmd?.run();
+}
+
+function onPaletteKey(e) {
+  const matches = paletteMatches();
+  if (e.key === "Escape") return closePalette();
+  if (e.key === "Enter") {
+    e.preventDefault();
+    return runPaletteCommand(matches[paletteIndex]);
+  }
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    paletteIndex = (paletteIndex + step + matches.length) % Math.max(1, matches.length);
+    renderPalette();
+  }
 }
 
 /* -----------------------------
@@ -759,72 +3962,1033 @@ function topRepeated(text, n) {
   for (const w of tokens) map.set(w, (map.get(w) || 0) + 1);
   return [...map.entries()].sort((a,b)=>b[1]-a[1]).slice(0,n).map(([word,count])=>({word,count}));
 }
-function round(x, d) {
-  const p = Math.pow(10, d);
-  return Math.round(x * p) / p;
+function round(x, d) {
+  const p = Math.pow(10, d);
+  return Math.round(x * p) / p;
+}
+
+/* -----------------------------
+   Consistency: Style Guide + Character Bible (project-wide)
+   - map-reduce over the whole book: every chunk is read with the
+     styleGuide / characterBible prompt, a chapter's partials are merged into
+     its notes, and the chapter notes are merged in book order (in batches
+     that fit MERGE_INPUT_TOKENS) into the final document, which gets the
+     larger bookOutTokens budget
+   - chunk and merge results are kept in the pipeline cache; a build drops
+     every merge it did not make or reuse itself, including the per-chapter
+     merges of unchanged chapters (their notes keep the result); chapter notes
+     live in p.cache.bookNotes keyed by chapter hash, so a rebuild only
+     re-reads chapters that changed
+--------------------------------*/
+const CONSISTENCY_DOCS = {
+  styleGuide: { name: "Style guide", outTokens: 800, bookOutTokens: 1600 },
+  characterBible: { name: "Character bible", outTokens: 900, bookOutTokens: 4000, done: applyBibleReply }
+};
+const MERGE_INPUT_TOKENS = 2400;
+
+async function buildStyleGuide() {
+  return buildConsistencyDoc("styleGuide");
+}
+
+async function buildCharacterBible() {
+  return buildConsistencyDoc("characterBible");
+}
+
+// A part too big for half a merge batch is split, never cut: JSON by entry, prose by paragraph
+function splitNote(text, cap) {
+  if (estimateTokens(text) <= cap) return [text];
+  const json = /^\s*[[{]/.test(text) ? parseJsonLoose(text) : null;
+  if (!json || typeof json !== "object") {
+    return paragraphChunks(text, cap).map(ch => ch.text).filter(t => t.trim());
+  }
+  const entries = Array.isArray(json)
+    ? json.map(v => [null, v])
+    : Object.entries(json).flatMap(([k, v]) => Array.isArray(v) ? v.map(x => [k, x, true]) : [[k, v, false]]);
+  const out = [];
+  let cur = null;
+  for (const [k, v, listed] of entries) {
+    const t = estimateTokens(JSON.stringify(v)) + 4;
+    if (!cur || (cur.tokens && cur.tokens + t > cap)) out.push(cur = { json: Array.isArray(json) ? [] : {}, tokens: 0 });
+    if (k === null) cur.json.push(v);
+    else if (listed) (cur.json[k] = cur.json[k] || []).push(v);
+    else cur.json[k] = v;
+    cur.tokens += t;
+  }
+  return out.map(g => JSON.stringify(g.json));
+}
+
+// Merges parts (kept in book order) in batches until one is left; merge(group, last) makes
+// one request, with last set for the merge that produces the final text
+async function mergeNotes(parts, merge) {
+  if (parts.length <= 1) return parts[0] || "";
+  // parts are split to at most half the input; every batch merges at least two, so this ends
+  const cap = Math.floor(MERGE_INPUT_TOKENS / 2);
+  const groups = [];
+  let size = 0;
+  for (const part of parts.flatMap(t => splitNote(t, cap))) {
+    const t = estimateTokens(part);
+    if (!groups.length || (size + t > MERGE_INPUT_TOKENS && groups.at(-1).length > 1)) {
+      groups.push([]);
+      size = 0;
+    }
+    groups.at(-1).push(part);
+    size += t;
+  }
+  const merged = await Promise.all(groups.map(g => g.length === 1 ? g[0] : merge(g, groups.length === 1)));
+  return mergeNotes(merged, merge);
+}
+
+async function buildConsistencyDoc(kind) {
+  const { st, p } = getActive();
+  const doc = CONSISTENCY_DOCS[kind];
+  const chapters = p.chapterOrder.filter(cid => (p.chapters[cid].text || "").trim());
+  if (!chapters.length) return toast("Project is empty.");
+
+  const cache = p.cache.pipelineCache || (p.cache.pipelineCache = {});
+  const bookNotes = p.cache.bookNotes || (p.cache.bookNotes = {});
+  const notes = bookNotes[kind] || (bookNotes[kind] = {});
+  for (const cid of Object.keys(notes)) if (!chapters.includes(cid)) delete notes[cid];
+
+  const tags = templateTag(kind) + templateTag(`${kind}.merge`);
+  const chapterHash = cid => `${hashText(p.chapters[cid].text)}${tags}`;
+  const mapKey = ch => `${kind}:${ch.hash}${templateTag(kind)}`;
+  const stale = chapters.filter(cid => notes[cid]?.hash !== chapterHash(cid));
+  const chunksOf = Object.fromEntries(stale.map(cid => [cid, chunkText(p.chapters[cid].text, { maxTokens: st.settings.maxChunkTokens, overlapTokens: 60 })]));
+
+  // map requests for uncached chunks, plus roughly one merge per multi-chunk chapter and per batch of chapters
+  const pending = [];
+  for (const cid of stale) {
+    for (const ch of chunksOf[cid]) {
+      if (!cache[mapKey(ch)]) pending.push({ inTokens: ch.tokens + 120, outTokens: doc.outTokens });
+    }
+    if (chunksOf[cid].length > 1) pending.push({ inTokens: MERGE_INPUT_TOKENS, outTokens: doc.outTokens });
+  }
+  if (stale.length && chapters.length > 1) {
+    const batches = Math.ceil(chapters.length * doc.outTokens / MERGE_INPUT_TOKENS);
+    for (let i = 0; i < batches; i++) pending.push({ inTokens: MERGE_INPUT_TOKENS, outTokens: i ? doc.outTokens : doc.bookOutTokens });
+  }
+  if (pending.length > 1 && !confirmEstimate(`${doc.name} (whole project)`, estimateJob(kind, pending), [
+    `Chapters: ${chapters.length} (${stale.length} new or changed, ${chapters.length - stale.length} reused)`
+  ])) return;
+
+  setStatus("AI…");
+  log(`Building ${doc.name.toLowerCase()} started (${stale.length}/${chapters.length} chapter(s) to read)`);
+  const job = startJob(doc.name);
+  const ask = (messages, onToken, maxTokens = doc.outTokens) => withRetries(() => job.schedule(() =>
+    callAI(messages, maxTokens, { feature: kind, signal: job.signal, onToken })
+  ), 2, job.signal);
+  const used = new Set();
+  // book: the merge into the whole-book document, which streams and gets the larger budget
+  const merge = async (group, book = false) => {
+    const key = `${kind}.merge:${hashText(group.join("\n\n"))}${book ? ":book" : ""}${templateTag(`${kind}.merge`)}`;
+    used.add(key);
+    if (!cache[key]) {
+      const notesText = group.map((t, i) => `--- Part ${i + 1} of ${group.length} ---\n${t}`).join("\n\n");
+      cache[key] = book
+        ? await ask(promptMessages(`${kind}.merge`, { notes: notesText }), streamInto(els("consistencyOut")), doc.bookOutTokens)
+        : await ask(promptMessages(`${kind}.merge`, { notes: notesText }));
+      store.set(st, `caches/${p.id}`);
+    }
+    return cache[key];
+  };
+
+  let read = 0;
+  const progress = () => { els("consistencyOut").textContent = `${doc.name}: read ${read}/${stale.length} changed chapter(s)…`; };
+  try {
+    progress();
+    await Promise.all(stale.map(async cid => {
+      const partials = await Promise.all(chunksOf[cid].map(async ch => {
+        const key = mapKey(ch);
+        if (!cache[key]) {
+          cache[key] = await ask(promptMessages(kind, { text: ch.text }, { p, c: p.chapters[cid] }));
+          store.set(st, `caches/${p.id}`);
+        }
+        return cache[key];
+      }));
+      // kept per chapter as soon as it is done, so a cancelled run resumes here
+      notes[cid] = { hash: chapterHash(cid), text: await mergeNotes(partials, g => merge(g)) };
+      store.set(st, `caches/${p.id}`);
+      read++;
+      progress();
+    }));
+
+    const parts = chapters.map(cid => notes[cid].text);
+    const out = parts.length === 1 ? parts[0] : await mergeNotes(parts, (g, last) => merge(g, last));
+    p.cache[kind] = out;
+    // drop every merge this build didn't ask for: those of notes that have since changed, and
+    // the per-chapter merges of chapters it reused, whose result already sits in their notes
+    // (a chapter whose notes are rebuilt later re-requests its merges)
+    for (const key of Object.keys(cache)) {
+      if (key.startsWith(`${kind}.merge:`) && !used.has(key)) delete cache[key];
+    }
+    store.set(st, `caches/${p.id}`);
+    els("consistencyOut").textContent = out;
+    const note = doc.done ? await doc.done(p, out, messages => ask(messages)) : "";
+    store.set(st, `projects/${p.id}`);
+    toast(note || `${doc.name} ready`);
+  } catch (e) {
+    if (isAbort(e)) return toast(`${doc.name} cancelled (finished chapters are kept).`);
+    log(`${doc.name} error: ${String(e?.message || e)}`);
+    toast(`${doc.name} failed (see logs).`);
+  } finally {
+    finishJob(job);
+    setStatus("Ready");
+  }
+}
+
+/* -----------------------------
+   Story bible (p.bible)
+   - entities parsed from the character bible JSON: characters, locations,
+     items and factions, each { id, kind, name, aliases, summary, details,
+     origin "ai" | "user", edited }
+   - `edited` lists the fields the user changed ("name", "summary",
+     "details.age", ...); a rebuild fills in everything else and never
+     touches those. Deleted AI entries are remembered in `dismissed`
+   - replies that aren't valid JSON are repaired locally (fences, trailing
+     commas, bare keys, truncation) and, failing that, by one repair request
+--------------------------------*/
+const BIBLE_KINDS = [
+  ["character", "Characters", /charac|people|person|cast/i],
+  ["location", "Locations", /locat|place|setting|world/i],
+  ["item", "Items", /item|object|artifact|artefact|possession/i],
+  ["faction", "Factions", /faction|organi[sz]|group|house|guild|famil/i]
+];
+let bibleSelected = null; // entity id open in the editor
+
+function emptyBible() {
+  return { entities: [], dismissed: [] };
+}
+
+function projectBible(p) {
+  return p.bible || (p.bible = emptyBible());
+}
+
+// Best-effort fix for almost-JSON model output; returns a string to JSON.parse, or null
+function repairJson(raw) {
+  const s = String(raw || "").replace(/```(?:json)?/gi, "").replace(/[“”]/g, "\"");
+  const start = s.search(/[[{]/);
+  if (start < 0) return null;
+
+  // one pass outside strings: quote bare keys, drop trailing commas, stop after the top-level value
+  let out = "";
+  const open = [];
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < s.length; i++) {
+    const ch = s[i];
+    if (inString) {
+      out += ch;
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === "\"") inString = false;
+      continue;
+    }
+    if (ch === "\"") inString = true;
+    else if (ch === "{" || ch === "[") open.push(ch === "{" ? "}" : "]");
+    else if (ch === "}" || ch === "]") {
+      out = out.replace(/,\s*$/, "") + ch;
+      open.pop();
+      if (!open.length) return out;
+      continue;
+    } else if (/[A-Za-z_]/.test(ch) && /[{,]\s*$/.test(out)) {
+      const key = s.slice(i, i + 80).match(/^([A-Za-z_][\w -]*?)\s*:/);
+      if (key) {
+        out += `"${key[1]}":`;
+        i += key[0].length - 1;
+        continue;
+      }
+    }
+    out += ch;
+  }
+
+  // truncated reply: close the open string, drop a dangling key or comma, close the brackets
+  if (inString) out += "\"";
+  out = out.trimEnd().replace(/,$/, "").replace(/:$/, ": null");
+  if (open.at(-1) === "}") out = out.replace(/([{,])\s*"[^"]*"$/, (m, sep) => (sep === "{" ? "{" : ""));
+  return out + open.reverse().join("");
+}
+
+function parseJsonLoose(raw) {
+  const text = String(raw || "");
+  for (const candidate of [text.match(/[[{][\s\S]*[\]}]/)?.[0], repairJson(text)]) {
+    if (!candidate) continue;
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // try the next candidate
+    }
+  }
+  return null;
+}
+
+function bibleKindOf(key) {
+  return BIBLE_KINDS.find(([, , re]) => re.test(key))?.[0] || "";
+}
+
+function bibleValue(v) {
+  if (v == null || v === "") return "";
+  if (Array.isArray(v)) return v.map(bibleValue).filter(Boolean).join("; ");
+  if (typeof v === "object") return Object.entries(v).map(([k, x]) => `${k}: ${bibleValue(x)}`).filter(x => !x.endsWith(": ")).join(", ");
+  return String(v);
+}
+
+// Parsed bible JSON (any of the usual shapes) -> [{ kind, name, aliases, summary, details }]
+function bibleEntitiesFrom(json) {
+  const out = [];
+  const add = (kind, v, key) => {
+    if (typeof v === "string") v = key ? { name: key, description: v } : { name: v };
+    if (!v || typeof v !== "object" || Array.isArray(v)) return;
+    const { name, title, aliases, alias, description, summary, ...rest } = v;
+    const entityName = String(name || title || key || "").trim();
+    if (!entityName) return;
+    const details = {};
+    for (const [k, x] of Object.entries(rest)) {
+      const value = bibleValue(x);
+      if (value && value !== "null") details[k] = value;
+    }
+    out.push({
+      kind,
+      name: entityName,
+      aliases: [aliases, alias].flat().filter(a => typeof a === "string" && a.trim()).map(a => a.trim()),
+      summary: bibleValue(description ?? summary),
+      details
+    });
+  };
+  const addAll = (kind, v) => {
+    if (Array.isArray(v)) v.forEach(x => add(kind, x));
+    else if (v && typeof v === "object") Object.entries(v).forEach(([k, x]) => add(kind, x, k));
+  };
+  if (Array.isArray(json)) addAll("character", json);
+  else if (json && typeof json === "object") {
+    for (const [k, v] of Object.entries(json)) {
+      const kind = bibleKindOf(k);
+      if (kind) addAll(kind, v);
+      else if (v && typeof v === "object" && !Array.isArray(v)) add("character", v, k); // { "Mara": { ... } }
+    }
+  }
+  return out;
+}
+
+function findBibleEntity(bible, names) {
+  const wanted = new Set(names.map(n => n.toLowerCase()));
+  return bible.entities.find(e => [e.name, ...e.aliases].some(n => wanted.has(n.toLowerCase())));
+}
+
+// Fold freshly extracted entities into the bible without overwriting the user's edits
+function mergeBible(bible, found) {
+  let added = 0;
+  let updated = 0;
+  for (const f of found) {
+    if (bible.dismissed.includes(f.name.toLowerCase())) continue;
+    const e = findBibleEntity(bible, [f.name, ...f.aliases]);
+    if (!e) {
+      bible.entities.push({ id: crypto.randomUUID(), ...f, origin: "ai", edited: [] });
+      added++;
+      continue;
+    }
+    const before = JSON.stringify(e);
+    const keep = new Set(e.edited);
+    if (!keep.has("aliases")) e.aliases = [...new Set([...e.aliases, ...f.aliases])].filter(a => a !== e.name);
+    if (!keep.has("summary") && f.summary) e.summary = f.summary;
+    for (const [k, v] of Object.entries(f.details)) if (!keep.has(`details.${k}`)) e.details[k] = v;
+    if (JSON.stringify(e) !== before) updated++;
+  }
+  return { added, updated };
+}
+
+// Called with the finished character bible reply; ask() makes a request inside the running job
+async function applyBibleReply(p, reply, ask) {
+  let json = parseJsonLoose(reply);
+  if (!json) {
+    log("Character bible reply is not valid JSON; asking for a repair");
+    json = parseJsonLoose(await ask(promptMessages("jsonRepair", { text: clipByTokens(reply, 3000) })));
+  }
+  const found = json ? bibleEntitiesFrom(json) : [];
+  if (!found.length) {
+    const err = new Error("Character bible reply could not be parsed into entries (raw reply kept).");
+    err.code = "BIBLE_JSON";
+    throw err;
+  }
+  const { added, updated } = mergeBible(projectBible(p), found);
+  log(`Story bible: ${added} new, ${updated} updated, ${found.length} found`);
+  renderBible();
+  return `Story bible: ${added} new, ${updated} updated`;
+}
+
+// Entities for prompts, with the user's edits
+function bibleText(p) {
+  return projectBible(p).entities.map(e => [
+    `${e.name}${e.aliases.length ? ` (aka ${e.aliases.join(", ")})` : ""} — ${e.kind}`,
+    e.summary,
+    ...Object.entries(e.details).map(([k, v]) => `${k}: ${v}`)
+  ].filter(Boolean).join("\n")).join("\n\n");
+}
+
+// Chapters mentioning the entity -> [{ cid, title, count, at, match }]
+let bibleFormKey = "";     // entry shown in the form; a render only refills it when this changes
+let bibleMentionHits = { source: "", chapters: new Map() }; // for one entry's pattern: cid -> { text, hit }
+
+function bibleMentions(p, e) {
+  // characters also match on a first or last name; places and things need the full name
+  const terms = new Set();
+  for (const n of [e.name, ...e.aliases]) {
+    terms.add(n);
+    if (e.kind === "character") n.split(/\s+/).filter(w => w.length >= 3).forEach(w => terms.add(w));
+  }
+  const alternatives = [...terms].filter(Boolean).sort((a, b) => b.length - a.length)
+    .map(t => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  if (!alternatives.length) return [];
+  const re = new RegExp(`\\b(?:${alternatives.join("|")})\\b`, "g");
+  // renders repeat this, so a chapter is only searched again once its text changes
+  if (bibleMentionHits.source !== re.source) bibleMentionHits = { source: re.source, chapters: new Map() };
+  const out = [];
+  for (const cid of p.chapterOrder) {
+    const text = p.chapters[cid].text || "";
+    let seen = bibleMentionHits.chapters.get(cid);
+    if (seen?.text !== text) {
+      const hits = [...text.matchAll(re)];
+      seen = { text, hit: hits.length ? { count: hits.length, at: hits[0].index, match: hits[0][0] } : null };
+      bibleMentionHits.chapters.set(cid, seen);
+    }
+    if (seen.hit) out.push({ cid, title: p.chapters[cid].title, ...seen.hit });
+  }
+  return out;
+}
+
+function renderBible(force = false) {
+  const { p } = getActive();
+  const bible = projectBible(p);
+  const filter = els("bibleFilter").value;
+  const q = els("bibleSearch").value.trim().toLowerCase();
+  const order = BIBLE_KINDS.map(([k]) => k);
+  const list = bible.entities
+    .filter(e => (!filter || e.kind === filter) && (!q || [e.name, ...e.aliases].some(n => n.toLowerCase().includes(q))))
+    .sort((a, b) => order.indexOf(a.kind) - order.indexOf(b.kind) || a.name.localeCompare(b.name));
+
+  const box = els("bibleList");
+  box.innerHTML = "";
+  for (const e of list) {
+    const row = document.createElement("div");
+    row.className = `paletteItem${e.id === bibleSelected ? " active" : ""}`;
+    row.textContent = e.name;
+    const meta = document.createElement("span");
+    meta.className = "small";
+    meta.textContent = ` · ${e.kind}${e.edited.length ? " · edited" : ""}`;
+    row.appendChild(meta);
+    row.onclick = () => { bibleSelected = e.id; renderBible(); };
+    box.appendChild(row);
+  }
+  els("bibleCount").textContent = bible.entities.length
+    ? `${list.length} of ${bible.entities.length} entries`
+    : "No entries yet. Build the character bible or add one.";
+  const e = bible.entities.find(x => x.id === bibleSelected);
+  // unsaved edits survive re-renders; another entry, or this one changed by a rebuild, reloads
+  const formKey = `${p.id}:${bibleSelected}:${e ? JSON.stringify(e) : ""}`;
+  if (force || formKey !== bibleFormKey) loadBibleForm(e);
+  bibleFormKey = formKey;
+  renderBibleMentions(e);
+}
+
+function loadBibleForm(e) {
+  els("bibleName").value = e?.name || "";
+  els("bibleKind").value = e?.kind || els("bibleFilter").value || "character";
+  els("bibleAliases").value = e?.aliases.join(", ") || "";
+  els("bibleSummary").value = e?.summary || "";
+  els("bibleDetails").value = e ? Object.entries(e.details).map(([k, v]) => `${k}: ${v}`).join("\n") : "";
+  els("bibleOrigin").textContent = !e ? "New entry"
+    : e.origin === "user" ? "Added by you"
+    : e.edited.length ? `From the AI; your edits are kept on rebuild: ${e.edited.join(", ")}` : "From the AI";
+}
+
+function renderBibleMentions(e) {
+  const { p } = getActive();
+  const box = els("bibleMentions");
+  box.innerHTML = "";
+  const mentions = e ? bibleMentions(p, e) : [];
+  if (e && !mentions.length) box.textContent = "Not mentioned in any chapter.";
+  for (const m of mentions) {
+    const btn = document.createElement("button");
+    btn.className = "btn mt6";
+    btn.textContent = `${m.title} (${m.count}×)`;
+    btn.onclick = () => showPassage(m.cid, m.at, m.match.length);
+    box.appendChild(btn);
+  }
+}
+
+// "key: value" per line; lines without a key continue the previous value
+function parseBibleDetails(text) {
+  const details = {};
+  let last = "";
+  for (const line of text.split("\n").map(l => l.trim()).filter(Boolean)) {
+    const m = line.match(/^([^:]{1,40}):\s*(.*)$/);
+    if (m) details[last = m[1].trim()] = m[2];
+    else if (last) details[last] += ` ${line}`;
+    else details[last = "notes"] = line;
+  }
+  return details;
+}
+
+function saveBibleEntry() {
+  const { st, p } = getActive();
+  const bible = projectBible(p);
+  const name = els("bibleName").value.trim();
+  if (!name) return toast("Name is required.");
+  let e = bible.entities.find(x => x.id === bibleSelected);
+  const other = findBibleEntity(bible, [name]);
+  if (other && other !== e) return toast(`"${other.name}" is already in the bible.`);
+  if (!e) {
+    e = { id: crypto.randomUUID(), kind: "character", name: "", aliases: [], summary: "", details: {}, origin: "user", edited: [] };
+    bible.entities.push(e);
+  }
+  const next = {
+    name,
+    kind: els("bibleKind").value,
+    aliases: els("bibleAliases").value.split(",").map(a => a.trim()).filter(Boolean),
+    summary: els("bibleSummary").value.trim(),
+    details: parseBibleDetails(els("bibleDetails").value)
+  };
+  const edited = new Set(e.edited);
+  for (const f of ["name", "kind", "aliases", "summary"]) {
+    if (JSON.stringify(e[f]) !== JSON.stringify(next[f])) edited.add(f);
+  }
+  for (const k of new Set([...Object.keys(e.details), ...Object.keys(next.details)])) {
+    if (e.details[k] !== next.details[k]) edited.add(`details.${k}`);
+  }
+  Object.assign(e, next, { edited: [...edited] });
+  bible.dismissed = bible.dismissed.filter(n => n !== name.toLowerCase());
+  bibleSelected = e.id;
+  store.set(st, `projects/${p.id}`);
+  renderBible();
+  toast(`Saved ${name}`);
+}
+
+function newBibleEntry() {
+  bibleSelected = null;
+  renderBible(true);
+  els("bibleName").focus();
+}
+
+function deleteBibleEntry() {
+  const { st, p } = getActive();
+  const bible = projectBible(p);
+  const e = bible.entities.find(x => x.id === bibleSelected);
+  if (!e) return toast("Pick an entry first.");
+  if (!confirm(`Delete "${e.name}" from the story bible?`)) return;
+  bible.entities = bible.entities.filter(x => x !== e);
+  // otherwise the next rebuild would bring it straight back
+  if (e.origin === "ai") bible.dismissed.push(e.name.toLowerCase());
+  bibleSelected = null;
+  store.set(st, `projects/${p.id}`);
+  renderBible();
+  toast(`Deleted ${e.name}`);
+}
+
+/* -----------------------------
+   Continuity checker
+   - structured facts ({ entity, attribute, subject, value, quote }) are
+     extracted per chunk (pipeline cache) and kept per chapter in
+     p.cache.chapterFacts by chapter hash, so only changed chapters are re-read
+   - contradictions are found locally with CONTINUITY_RULES: "fixed" facts
+     must not change, "grows" must not go down, "check" changes are listed as
+     worth a look; entities are matched through the story bible's aliases
+--------------------------------*/
+const CONTINUITY_RULES = {
+  "eye colour": "fixed",
+  "hair colour": "fixed",
+  height: "fixed",
+  birthplace: "fixed",
+  injury: "fixed",
+  date: "fixed",
+  age: "grows",
+  possession: "check"
+};
+const CONTINUITY_WORDS = { gray: "grey", color: "colour" };
+
+async function runContinuityCheck() {
+  const { st, p } = getActive();
+  const chapters = p.chapterOrder.filter(cid => (p.chapters[cid].text || "").trim());
+  if (!chapters.length) return toast("Project is empty.");
+
+  const cache = p.cache.pipelineCache || (p.cache.pipelineCache = {});
+  const facts = p.cache.chapterFacts || (p.cache.chapterFacts = {});
+  for (const cid of Object.keys(facts)) if (!chapters.includes(cid)) delete facts[cid];
+  const tag = templateTag("continuityFacts");
+  const chapterHash = cid => `${hashText(p.chapters[cid].text)}${tag}`;
+  const chunkKey = ch => `continuity:${ch.hash}${tag}`;
+  const stale = chapters.filter(cid => facts[cid]?.hash !== chapterHash(cid));
+  const chunksOf = Object.fromEntries(stale.map(cid => [cid, chunkText(p.chapters[cid].text, { maxTokens: st.settings.maxChunkTokens, overlapTokens: 0 })]));
+
+  const pending = stale.flatMap(cid => chunksOf[cid].filter(ch => !cache[chunkKey(ch)]).map(ch => ({ inTokens: ch.tokens + 250, outTokens: 700 })));
+  if (pending.length > 1 && !confirmEstimate("Continuity check (whole project)", estimateJob("continuity", pending), [
+    `Chapters: ${chapters.length} (${stale.length} new or changed, ${chapters.length - stale.length} reused)`
+  ])) return;
+
+  setStatus("AI…");
+  log(`Continuity check started (${stale.length}/${chapters.length} chapter(s) to read)`);
+  const job = startJob("Continuity check");
+  let read = 0;
+  try {
+    await Promise.all(stale.map(async cid => {
+      const c = p.chapters[cid];
+      const found = [];
+      for (const ch of chunksOf[cid]) {
+        const key = chunkKey(ch);
+        if (!cache[key]) {
+          cache[key] = await withRetries(() => job.schedule(() =>
+            callAI(promptMessages("continuityFacts", { text: ch.text }, { p, c }), 700, { feature: "continuity", signal: job.signal })
+          ), 2, job.signal);
+          store.set(st, `caches/${p.id}`);
+        }
+        const list = parseJsonLoose(cache[key]);
+        const items = Array.isArray(list) ? list : list?.facts;
+        if (!Array.isArray(items)) log(`Continuity: could not read facts for a chunk of ${c.title}`);
+        for (const f of items || []) {
+          if (!f?.entity || !f?.attribute || f.value == null) continue;
+          found.push({
+            entity: String(f.entity).trim(),
+            attribute: String(f.attribute).trim().toLowerCase(),
+            subject: String(f.subject || "").trim(),
+            value: String(f.value).trim(),
+            quote: String(f.quote || "").trim()
+          });
+        }
+      }
+      facts[cid] = { hash: chapterHash(cid), facts: found };
+      store.set(st, `caches/${p.id}`);
+      els("continuityOut").textContent = `Reading chapters… ${++read}/${stale.length}`;
+    }));
+
+    const issues = renderContinuity();
+    toast(issues.length ? `Continuity: ${issues.length} issue(s) found` : "Continuity: no contradictions found");
+  } catch (e) {
+    if (isAbort(e)) {
+      renderContinuity();
+      return toast("Continuity check cancelled (finished chapters are kept).");
+    }
+    log(`Continuity check error: ${String(e?.message || e)}`);
+    toast("Continuity check failed (see logs).");
+  } finally {
+    finishJob(job);
+    setStatus("Ready");
+  }
+}
+
+function continuityValue(v) {
+  return String(v).toLowerCase().replace(/[^a-z0-9\s]/g, " ").split(/\s+/)
+    .filter(w => w && !["a", "an", "the", "his", "her", "their", "its"].includes(w))
+    .map(w => CONTINUITY_WORDS[w] || w).join(" ");
+}
+
+// "pale blue" agrees with "blue"; "left" doesn't agree with "right"
+function sameValue(a, b) {
+  const x = continuityValue(a);
+  const y = continuityValue(b);
+  return x === y || ` ${x} `.includes(` ${y} `) || ` ${y} `.includes(` ${x} `);
+}
+
+// Where a fact sits in its chapter: the quote if it can be found, else the value
+function locateFact(text, f) {
+  for (const needle of [f.quote, f.value]) {
+    const words = String(needle || "").split(/\s+/).filter(Boolean);
+    if (!words.length) continue;
+    const re = new RegExp(words.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("\\s+"), "i");
+    const m = re.exec(text);
+    if (m) return { at: m.index, length: m[0].length };
+  }
+  return { at: 0, length: 0 };
+}
+
+// -> [{ severity "conflict" | "check", entity, attribute, subject, a, b }], a/b = { cid, title, value, quote }
+function continuityIssues(p) {
+  const bible = projectBible(p);
+  const facts = p.cache.chapterFacts || {};
+  const groups = new Map();
+  for (const cid of p.chapterOrder) {
+    for (const f of facts[cid]?.facts || []) {
+      const rule = CONTINUITY_RULES[f.attribute.replace(/\bcolor\b/, "colour")];
+      if (!rule) continue;
+      const entity = findBibleEntity(bible, [f.entity])?.name || f.entity;
+      const key = [entity.toLowerCase(), f.attribute, continuityValue(f.subject)].join("|");
+      if (!groups.has(key)) groups.set(key, { rule, entity, attribute: f.attribute, subject: f.subject, list: [] });
+      groups.get(key).list.push({ cid, title: p.chapters[cid].title, value: f.value, quote: f.quote });
+    }
+  }
+
+  const issues = [];
+  for (const g of groups.values()) {
+    const base = { entity: g.entity, attribute: g.attribute, subject: g.subject };
+    if (g.rule === "fixed") {
+      // each distinct value is reported once, against the first one stated
+      const seen = [g.list[0].value];
+      for (const f of g.list.slice(1)) {
+        if (seen.some(v => sameValue(v, f.value))) continue;
+        seen.push(f.value);
+        issues.push({ ...base, severity: "conflict", a: g.list[0], b: f });
+      }
+    } else {
+      for (let i = 1; i < g.list.length; i++) {
+        const a = g.list[i - 1];
+        const b = g.list[i];
+        if (g.rule === "grows") {
+          if (parseFloat(b.value) < parseFloat(a.value)) issues.push({ ...base, severity: "conflict", a, b });
+        } else if (!sameValue(a.value, b.value)) {
+          issues.push({ ...base, severity: "check", a, b });
+        }
+      }
+    }
+  }
+  return issues.sort((x, y) => (x.severity === y.severity ? 0 : x.severity === "conflict" ? -1 : 1));
+}
+
+function renderContinuity() {
+  const { p } = getActive();
+  const box = els("continuityOut");
+  box.innerHTML = "";
+  const facts = p.cache.chapterFacts || {};
+  const checked = p.chapterOrder.filter(cid => facts[cid]);
+  if (!checked.length) {
+    box.textContent = "Not checked yet.";
+    return [];
+  }
+  const stale = checked.filter(cid => !facts[cid].hash.startsWith(hashText(p.chapters[cid].text || "")));
+  const issues = continuityIssues(p);
+  const head = document.createElement("div");
+  head.className = "small";
+  head.textContent = `${issues.length} issue(s) across ${checked.length} chapter(s)` +
+    (stale.length ? ` · ${stale.length} chapter(s) changed since the check` : "");
+  box.appendChild(head);
+
+  const link = (f) => {
+    const btn = document.createElement("button");
+    btn.className = "btn mt6";
+    btn.textContent = `${f.title}: “${f.value}”`;
+    btn.title = f.quote;
+    btn.onclick = () => {
+      const { at, length } = locateFact(p.chapters[f.cid].text || "", f);
+      showPassage(f.cid, at, length);
+    };
+    return btn;
+  };
+  for (const issue of issues) {
+    const row = document.createElement("div");
+    row.className = "jobRow";
+    const what = document.createElement("div");
+    what.textContent = `${issue.severity === "conflict" ? "Contradiction" : "Check"} · ${issue.entity} · ${issue.attribute}${issue.subject ? ` (${issue.subject})` : ""}`;
+    const links = document.createElement("div");
+    links.className = "row";
+    links.append(link(issue.a), link(issue.b));
+    row.append(what, links);
+    box.appendChild(row);
+  }
+  return issues;
+}
+
+/* -----------------------------
+   Story timeline (p.timeline)
+   - events { id, title, when, chapterId, characters, location, ages, notes,
+     origin "ai" | "user", edited, aiTitle } on the in-story calendar: "Day 12",
+     "Year 2 Day 40" or "1888-03-14", optionally with a time ("14:30") or a
+     part of day ("evening")
+   - AI extraction reads changed chapters in book order (p.timeline.read
+     holds the chapter hashes), continuing the calendar from the previous
+     chapter; re-reading a chapter replaces its AI events unless edited, and
+     an event it finds again that is kept (by title or the AI's original
+     title, aiTitle) is not added a second time
+   - checks: the same character in two places at the same moment (an event
+     without a time overlaps the whole day), and ages
+     that don't fit the time elapsed between events
+--------------------------------*/
+const DAY_PARTS = { dawn: 0.25, morning: 0.33, noon: 0.5, midday: 0.5, afternoon: 0.6, dusk: 0.75, evening: 0.8, night: 0.9, midnight: 0.99 };
+let timelineSelected = null; // event id open in the editor
+let timelineFormKey = "";    // event shown in the form; a render only refills it when this changes
+
+function emptyTimeline() {
+  return { events: [], read: {} };
+}
+
+function projectTimeline(p) {
+  return p.timeline || (p.timeline = emptyTimeline());
+}
+
+// when -> { day (fractional day number, NaN if undated), timed }
+function storyDay(when) {
+  const s = String(when || "").toLowerCase();
+  const clock = s.match(/\b(\d{1,2}):(\d{2})\b/);
+  const part = Object.keys(DAY_PARTS).find(w => new RegExp(`\\b${w}\\b`).test(s));
+  const frac = clock ? (Number(clock[1]) * 60 + Number(clock[2])) / 1440 : part ? DAY_PARTS[part] : 0;
+  const timed = Boolean(clock || part);
+  const iso = s.match(/(-?\d{1,6})-(\d{1,2})-(\d{1,2})/);
+  if (iso) {
+    const d = new Date(0);
+    d.setUTCFullYear(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    return { day: Math.floor(d.getTime() / 86400000) + frac, timed };
+  }
+  const day = s.match(/\bday\s*(-?\d+)/);
+  if (!day) return { day: NaN, timed };
+  const year = s.match(/\byear\s*(-?\d+)/);
+  return { day: (year ? (Number(year[1]) - 1) * 365 : 0) + Number(day[1]) + frac, timed };
+}
+
+function sortedEvents(p) {
+  return projectTimeline(p).events.map(e => ({ e, ...storyDay(e.when) }))
+    .sort((a, b) => (isNaN(a.day) - isNaN(b.day)) || a.day - b.day || p.chapterOrder.indexOf(a.e.chapterId) - p.chapterOrder.indexOf(b.e.chapterId))
+    .map(x => x.e);
+}
+
+// -> [{ severity "conflict" | "check", text, events: [a, b] }]
+function timelineIssues(p) {
+  const bible = projectBible(p);
+  const who = name => findBibleEntity(bible, [name])?.name || name;
+  const dated = sortedEvents(p).map(e => ({ e, ...storyDay(e.when) })).filter(x => !isNaN(x.day));
+  const issues = [];
+  for (let i = 0; i < dated.length; i++) {
+    for (let j = i + 1; j < dated.length; j++) {
+      const [a, b] = [dated[i], dated[j]];
+      const placeA = a.e.location.trim().toLowerCase();
+      const placeB = b.e.location.trim().toLowerCase();
+      const together = a.timed && b.timed ? a.day === b.day : Math.floor(a.day) === Math.floor(b.day);
+      if (together && placeA && placeB && placeA !== placeB) {
+        const both = a.e.characters.map(who).filter(n => b.e.characters.map(who).includes(n));
+        for (const name of new Set(both)) {
+          issues.push({
+            // without a time of day the two may just be hours apart
+            severity: a.timed && b.timed ? "conflict" : "check",
+            text: `${name} is in ${a.e.location} and ${b.e.location} at the same time (${a.e.when})`,
+            events: [a.e, b.e]
+          });
+        }
+      }
+      for (const [nameA, ageA] of Object.entries(a.e.ages || {})) {
+        const nameB = Object.keys(b.e.ages || {}).find(n => who(n) === who(nameA));
+        if (!nameB) continue;
+        const years = (b.day - a.day) / 365.25;
+        const grew = Number(b.e.ages[nameB]) - Number(ageA);
+        if (Math.abs(grew - years) > 1) {
+          issues.push({
+            severity: "conflict",
+            text: `${who(nameA)} is ${ageA} at ${a.e.when} but ${b.e.ages[nameB]} at ${b.e.when} (${years.toFixed(1)} years later)`,
+            events: [a.e, b.e]
+          });
+        }
+      }
+    }
+  }
+  return issues;
+}
+
+function timelineEvent(raw, cid) {
+  const ages = {};
+  for (const [k, v] of Object.entries(raw?.ages && typeof raw.ages === "object" ? raw.ages : {})) {
+    if (Number.isFinite(Number(v))) ages[k] = Number(v);
+  }
+  return {
+    id: crypto.randomUUID(),
+    title: String(raw?.title || raw?.event || "").trim(),
+    when: String(raw?.when || raw?.date || "").trim(),
+    chapterId: cid,
+    characters: (Array.isArray(raw?.characters) ? raw.characters : []).map(String).map(s => s.trim()).filter(Boolean),
+    location: String(raw?.location || "").trim(),
+    ages,
+    notes: "",
+    origin: "ai",
+    edited: false,
+    aiTitle: String(raw?.title || raw?.event || "").trim()
+  };
 }
 
-/* -----------------------------
-   Consistency: Style Guide + Character Bible (project-wide)
---------------------------------*/
-async function buildStyleGuide() {
+async function extractTimeline() {
   const { st, p } = getActive();
-  const projectText = getProjectText(p);
-  if (!projectText.trim()) return toast("Project is empty.");
+  const tl = projectTimeline(p);
+  const chapters = p.chapterOrder.filter(cid => (p.chapters[cid].text || "").trim());
+  if (!chapters.length) return toast("Project is empty.");
+  const tag = templateTag("timelineEvents");
+  const chapterHash = cid => `${hashText(p.chapters[cid].text)}${tag}`;
+  const stale = chapters.filter(cid => tl.read[cid] !== chapterHash(cid));
+  if (!stale.length) return toast("Timeline is up to date with every chapter.");
+
+  const pending = stale.map(cid => ({ inTokens: Math.min(estimateTokens(p.chapters[cid].text), st.settings.maxChunkTokens * 2) + 250, outTokens: 900 }));
+  if (pending.length > 1 && !confirmEstimate("Timeline extraction", estimateJob("timeline", pending), [
+    `Chapters: ${stale.length} new or changed, ${chapters.length - stale.length} reused`
+  ])) return;
 
   setStatus("AI…");
-  log("Building style guide started");
+  log(`Timeline extraction started (${stale.length} chapter(s))`);
+  const job = startJob("Timeline");
+  let added = 0;
   try {
-    const out = await withRetries(() => rate.schedule(() =>
-      callGroqChat([
-        { role: "system", content: "You extract a writing style guide for consistency (voice, tense, POV, formatting, conventions)." },
-        { role: "user", content:
-          "Create a compact style guide for this book. Include: POV/tense, tone, language level, dialogue style, formatting conventions, " +
-          "spelling (UK/US), character voice notes, recurring motifs, banned words, preferred phrasing. Be concise.\n\n" +
-          clipByTokens(projectText, 1600)
-        }
-      ], 800)
-    ), 2);
-    p.cache.styleGuide = out;
-    store.set(st);
-    els("consistencyOut").textContent = out;
-    toast("Style guide ready");
+    // in book order, so each chapter continues the calendar where the story had got to
+    for (const cid of stale) {
+      const c = p.chapters[cid];
+      const before = p.chapterOrder.slice(0, p.chapterOrder.indexOf(cid));
+      const latest = tl.events.filter(e => before.includes(e.chapterId))
+        .map(e => ({ e, ...storyDay(e.when) })).filter(x => !isNaN(x.day))
+        .sort((a, b) => b.day - a.day)[0];
+      const out = await withRetries(() => job.schedule(() =>
+        callAI(promptMessages("timelineEvents", {
+          text: clipByTokens(c.text, st.settings.maxChunkTokens * 2),
+          lastWhen: latest ? `${latest.e.when} (${latest.e.title})` : "the start of the story (Day 1)"
+        }, { p, c }), 900, { feature: "timeline", signal: job.signal })
+      ), 2, job.signal);
+      const json = parseJsonLoose(out);
+      const list = Array.isArray(json) ? json : json?.events;
+      if (!Array.isArray(list)) {
+        log(`Timeline: could not read events for ${c.title}`);
+        continue;
+      }
+      const kept = tl.events.filter(e => e.chapterId === cid && (e.origin === "user" || e.edited));
+      const known = new Set(kept.flatMap(e => [e.title, e.aiTitle]).filter(Boolean).map(t => t.toLowerCase()));
+      const found = list.map(raw => timelineEvent(raw, cid)).filter(e => e.title && !known.has(e.title.toLowerCase()));
+      tl.events = tl.events.filter(e => e.chapterId !== cid || kept.includes(e)).concat(found);
+      tl.read[cid] = chapterHash(cid);
+      added += found.length;
+      store.set(st, `projects/${p.id}`);
+      renderTimeline();
+    }
+    const issues = timelineIssues(p);
+    toast(`Timeline: ${added} event(s) from ${stale.length} chapter(s)${issues.length ? `, ${issues.length} issue(s)` : ""}`);
   } catch (e) {
-    log(`Style guide error: ${String(e?.message || e)}`);
-    toast("Style guide failed (see logs).");
+    if (isAbort(e)) return toast("Timeline extraction cancelled (finished chapters are kept).");
+    log(`Timeline error: ${String(e?.message || e)}`);
+    toast("Timeline extraction failed (see logs).");
   } finally {
+    finishJob(job);
     setStatus("Ready");
   }
 }
 
-async function buildCharacterBible() {
-  const { st, p } = getActive();
-  const projectText = getProjectText(p);
-  if (!projectText.trim()) return toast("Project is empty.");
+function renderTimeline(force = false) {
+  const { p } = getActive();
+  const tl = projectTimeline(p);
+  const issues = timelineIssues(p);
+  const flagged = new Set(issues.flatMap(i => i.events.map(e => e.id)));
+
+  const issueBox = els("timelineIssues");
+  issueBox.innerHTML = "";
+  issueBox.textContent = tl.events.length ? (issues.length ? "" : "No impossible sequences found.") : "No events yet. Extract them from the chapters or add one.";
+  for (const issue of issues) {
+    const row = document.createElement("div");
+    row.className = "jobRow";
+    row.textContent = `${issue.severity === "conflict" ? "Impossible" : "Check"} · ${issue.text}`;
+    row.style.cursor = "pointer";
+    row.onclick = () => { timelineSelected = issue.events[1].id; renderTimeline(); };
+    issueBox.appendChild(row);
+  }
 
-  setStatus("AI…");
-  log("Building character bible started");
-  try {
-    const out = await withRetries(() => rate.schedule(() =>
-      callGroqChat([
-        { role: "system", content: "You build a structured character bible for continuity and future writing." },
-        { role: "user", content:
-          "Build a character bible in JSON with fields per character: name, age, appearance, voice, goals, conflicts, relationships, secrets, " +
-          "timeline facts. If unknown, use null. Include locations and key items too.\n\n" +
-          clipByTokens(projectText, 1600)
-        }
-      ], 900)
-    ), 2);
-    p.cache.characterBible = out;
-    store.set(st);
-    els("consistencyOut").textContent = out;
-    toast("Character bible ready");
-  } catch (e) {
-    log(`Character bible error: ${String(e?.message || e)}`);
-    toast("Character bible failed (see logs).");
-  } finally {
-    setStatus("Ready");
+  const box = els("timelineList");
+  box.innerHTML = "";
+  const events = sortedEvents(p);
+  // a flashback is told in a later chapter than something that happens after it (undated events don't count)
+  const positions = events.map(e => {
+    const i = p.chapterOrder.indexOf(e.chapterId);
+    return i < 0 || isNaN(storyDay(e.when).day) ? Infinity : i;
+  });
+  const earliestAfter = [];
+  for (let i = events.length - 1, min = Infinity; i >= 0; i--) {
+    earliestAfter[i] = min;
+    min = Math.min(min, positions[i]);
+  }
+  events.forEach((e, i) => {
+    const row = document.createElement("div");
+    row.className = `paletteItem${e.id === timelineSelected ? " active" : ""}`;
+    row.textContent = `${flagged.has(e.id) ? "⚠ " : ""}${e.when || "Undated"} — ${e.title}`;
+    const meta = document.createElement("span");
+    meta.className = "small";
+    const flashback = isFinite(positions[i]) && positions[i] > earliestAfter[i];
+    meta.textContent = ` · ${p.chapters[e.chapterId]?.title || "no chapter"}${flashback ? " · flashback" : ""}${e.characters.length ? ` · ${e.characters.join(", ")}` : ""}`;
+    row.appendChild(meta);
+    row.onclick = () => { timelineSelected = e.id; renderTimeline(); };
+    box.appendChild(row);
+  });
+  const e = tl.events.find(x => x.id === timelineSelected);
+  // unsaved edits survive re-renders; another event, or this one changed elsewhere, reloads
+  const formKey = `${p.id}:${timelineSelected}:${e ? JSON.stringify(e) : ""}`;
+  if (force || formKey !== timelineFormKey) loadTimelineForm(e);
+  else fillTimelineChapters(els("tlChapter").value);
+  timelineFormKey = formKey;
+}
+
+function fillTimelineChapters(value) {
+  const { p, c } = getActive();
+  const sel = els("tlChapter");
+  sel.innerHTML = "";
+  for (const cid of p.chapterOrder) {
+    const opt = document.createElement("option");
+    opt.value = cid;
+    opt.textContent = p.chapters[cid].title;
+    sel.appendChild(opt);
+  }
+  sel.value = value && p.chapters[value] ? value : c.id;
+}
+
+function loadTimelineForm(e) {
+  fillTimelineChapters(e?.chapterId);
+  els("tlTitle").value = e?.title || "";
+  els("tlWhen").value = e?.when || "";
+  els("tlCharacters").value = e?.characters.join(", ") || "";
+  els("tlLocation").value = e?.location || "";
+  els("tlAges").value = e ? Object.entries(e.ages).map(([k, v]) => `${k}: ${v}`).join(", ") : "";
+  els("tlNotes").value = e?.notes || "";
+  els("tlOrigin").textContent = !e ? "New event" : e.origin === "user" ? "Added by you" : e.edited ? "From the AI, edited (kept on re-extraction)" : "From the AI";
+}
+
+function saveTimelineEvent() {
+  const { st, p } = getActive();
+  const tl = projectTimeline(p);
+  const title = els("tlTitle").value.trim();
+  if (!title) return toast("Title is required.");
+  const when = els("tlWhen").value.trim();
+  if (when && isNaN(storyDay(when).day)) return toast("Use “Day 12”, “Year 2 Day 40” or “1888-03-14” for the date.");
+  const ages = {};
+  for (const part of els("tlAges").value.split(",").map(s => s.trim()).filter(Boolean)) {
+    const m = part.match(/^(.+?):\s*(\d+(?:\.\d+)?)$/);
+    if (!m) return toast(`Ages: write “Name: 30”, not “${part}”.`);
+    ages[m[1].trim()] = Number(m[2]);
+  }
+  let e = tl.events.find(x => x.id === timelineSelected);
+  if (!e) {
+    e = { id: crypto.randomUUID(), origin: "user" };
+    tl.events.push(e);
   }
+  Object.assign(e, {
+    title,
+    when,
+    chapterId: els("tlChapter").value,
+    characters: els("tlCharacters").value.split(",").map(s => s.trim()).filter(Boolean),
+    location: els("tlLocation").value.trim(),
+    ages,
+    notes: els("tlNotes").value.trim(),
+    edited: true
+  });
+  timelineSelected = e.id;
+  store.set(st, `projects/${p.id}`);
+  renderTimeline();
+  toast(`Saved ${title}`);
+}
+
+function newTimelineEvent() {
+  timelineSelected = null;
+  renderTimeline(true);
+  els("tlTitle").focus();
+}
+
+function deleteTimelineEvent() {
+  const { st, p } = getActive();
+  const tl = projectTimeline(p);
+  const e = tl.events.find(x => x.id === timelineSelected);
+  if (!e) return toast("Pick an event first.");
+  if (!confirm(`Delete "${e.title}" from the timeline?`)) return;
+  tl.events = tl.events.filter(x => x !== e);
+  timelineSelected = null;
+  store.set(st, `projects/${p.id}`);
+  renderTimeline();
+}
+
+function openTimelineChapter() {
+  const { p } = getActive();
+  const e = projectTimeline(p).events.find(x => x.id === timelineSelected);
+  if (!e || !p.chapters[e.chapterId]) return toast("Pick an event with a chapter first.");
+  const at = locateFact(p.chapters[e.chapterId].text || "", { quote: e.title, value: e.characters[0] });
+  showPassage(e.chapterId, at.at, at.length);
 }
 
 function getProjectText(p) {
@@ -834,39 +4998,69 @@ function getProjectText(p) {
 /* -----------------------------
    Publishing House Pipeline (full system, chunked, cached, rate-limited)
 --------------------------------*/
+// prompts live in PROMPT_DEFAULTS["pipeline.<id>"]
+const PIPELINE_ROLES = [
+  { id: "developmental", name: "Developmental Editor" },
+  { id: "line", name: "Line Editor" },
+  { id: "copy", name: "Copy Editor" },
+  { id: "market", name: "Market Editor" }
+];
+
+// Customised templates get their own cache entries; built-in ones keep the original keys
+function templateTag(id) {
+  const tpl = promptTemplate(id);
+  return tpl === PROMPT_DEFAULTS[id] ? "" : `:${hashText(tpl.system + "\n" + tpl.user)}`;
+}
+
+function pipelineKey(role, ch, brief) {
+  return `${role.name}:${ch.hash}:${hashText(brief)}${templateTag(`pipeline.${role.id}`)}`;
+}
+
+function pipelinePrompt(brief, role, ch) {
+  return promptMessages(`pipeline.${role.id}`, { brief, chunk: ch.text });
+}
+
 async function runPipeline() {
   const { st, p, c } = getActive();
   const scope = els("pipelineScope").value;
 
-  const text = scope === "project" ? getProjectText(p) : (c.text || "");
+  if (scope === "scene" && !activeScene()) return toast("Open a scene in the Write tab first.");
+  const text = scope === "project" ? getProjectText(p) : scope === "scene" ? activeScene().text : (c.text || "");
   if (!text.trim()) return toast("Nothing to run pipeline on.");
 
   const brief = (els("pipelineBrief").value || "").trim();
   st.settings.pipelineBrief = brief;
-  store.set(st);
+  store.set(st, "meta");
+
+  const chunks = chunkText(text, { maxTokens: st.settings.maxChunkTokens, overlapTokens: 120 });
+  if (!chunks.length) return toast("No chunks produced.");
+  const cache = p.cache.pipelineCache || (p.cache.pipelineCache = {});
+
+  const pending = [];
+  for (const role of PIPELINE_ROLES) {
+    for (const ch of chunks) {
+      if (cache[pipelineKey(role, ch, brief)]) continue;
+      const prompt = pipelinePrompt(brief, role, ch).map(m => m.content).join("\n");
+      pending.push({ inTokens: estimateTokens(prompt), outTokens: st.settings.chunkOutTokens });
+    }
+  }
+  const cached = PIPELINE_ROLES.length * chunks.length - pending.length;
+  if (pending.length && !confirmEstimate(`Pipeline (${{ project: "whole project", chapter: "current chapter", scene: "current scene" }[scope]})`, estimateJob("pipeline", pending), [
+    `Chunks: ${chunks.length} × ${PIPELINE_ROLES.length} roles`,
+    `Cached: ${cached} (reused, no request)`
+  ])) return;
 
   setStatus("Pipeline…");
   log(`Pipeline started (${scope})`);
+  const job = startJob(`Pipeline (${scope})`);
+  const reportSections = [];
 
   try {
-    const chunks = chunkText(text, { maxTokens: st.settings.maxChunkTokens, overlapTokens: 120 });
-    if (!chunks.length) return toast("No chunks produced.");
-
-    const roles = [
-      { name: "Developmental Editor", task: "Plot, pacing, structure, stakes, character arcs, logic gaps." },
-      { name: "Line Editor", task: "Clarity, flow, voice, repetition, imagery, dialogue quality." },
-      { name: "Copy Editor", task: "Grammar, punctuation, spelling, continuity, formatting issues." },
-      { name: "Market Editor", task: "Hook strength, genre fit, positioning, blurb angles, comp titles." }
-    ];
-
-    const cache = p.cache.pipelineCache || (p.cache.pipelineCache = {});
-    const reportSections = [];
-
-    for (const role of roles) {
+    for (const role of PIPELINE_ROLES) {
       reportSections.push(`\n=== ${role.name} ===\n`);
       for (let i = 0; i < chunks.length; i++) {
         const ch = chunks[i];
-        const key = `${role.name}:${ch.hash}:${hashText(brief)}`;
+        const key = pipelineKey(role, ch, brief);
 
         if (cache[key]) {
           log(`${role.name} chunk ${i+1}/${chunks.length} (cached)`);
@@ -875,21 +5069,27 @@ async function runPipeline() {
         }
 
         log(`${role.name} chunk ${i+1}/${chunks.length}`);
-        const prompt =
-          `${brief}\n\nROLE: ${role.name}\nROLE TASK: ${role.task}\n\n` +
-          "Return bullet points only. Be specific: quote short fragments when helpful. No fluff.\n\n" +
-          `TEXT CHUNK:\n${ch.text}`;
-
-        const out = await withRetries(() => rate.schedule(() =>
-          callGroqChat([{ role: "user", content: prompt }], st.settings.chunkOutTokens)
-        ), 2);
-
-        const section = `\n[Chunk ${i+1}/${chunks.length}]\n${out}\n`;
+        const prompt = pipelinePrompt(brief, role, ch);
+
+        const onToken = streamInto(els("pipelineOut"), `${reportSections.join("\n")}\n\n[Chunk ${i+1}/${chunks.length}]\n`);
+        let answeredBy = "";
+        const out = await withRetries(() => job.schedule(() =>
+          callAI(prompt, st.settings.chunkOutTokens, {
+            feature: "pipeline",
+            signal: job.signal,
+            onToken,
+            onProvider: id => { answeredBy = id; }
+          })
+        ), 2, job.signal);
+
+        // the provider/model line stays with the cached section
+        const via = `${PROVIDERS[answeredBy].name} / ${PROVIDERS[answeredBy].model()}`;
+        const section = `\n[Chunk ${i+1}/${chunks.length} · ${via}]\n${out}\n`;
         cache[key] = section;
         reportSections.push(section);
 
         // persist incremental progress so you don't lose work
-        store.set(st);
+        store.set(st, `caches/${p.id}`);
         els("pipelineOut").textContent = reportSections.join("\n");
       }
     }
@@ -898,9 +5098,14 @@ async function runPipeline() {
     toast("Pipeline complete");
     log("Pipeline complete");
   } catch (e) {
+    if (isAbort(e)) {
+      els("pipelineOut").textContent = `${reportSections.join("\n")}\n\n[Cancelled — finished chunks are cached and reused on the next run]`;
+      return toast("Pipeline cancelled.");
+    }
     log(`Pipeline error: ${String(e?.message || e)}`);
     toast("Pipeline failed (see logs).");
   } finally {
+    finishJob(job);
     setStatus("Ready");
   }
 }
@@ -920,53 +5125,79 @@ async function askResearch() {
 
   setStatus("Research…");
   log(`Research: ${q}`);
+  const job = startJob("Research");
   try {
-    const out = await withRetries(() => rate.schedule(() =>
-      callPerplexityChat([{ role: "user", content: q }])
-    ), 1);
+    const out = await withRetries(() => job.schedule(() =>
+      callAI([{ role: "user", content: q }], 2000, { feature: "research", signal: job.signal, onToken: streamInto(els("researchOut")) })
+    ), 1, job.signal);
     els("researchOut").textContent = out;
     toast("Research ready");
   } catch (e) {
+    if (isAbort(e)) return toast("Research cancelled.");
     log(`Research error: ${String(e?.message || e)}`);
     toast("Research failed (see logs).");
   } finally {
+    finishJob(job);
+    setStatus("Ready");
+  }
+}
 
-     /* -----------------------------
+/* -----------------------------
    AI Book Planner (Chat & Generate)
 --------------------------------*/
-let plannerChat = [];
-
+// The planner conversation is saved with the active project (p.plannerChat)
 async function sendPlannerMessage() {
   const input = els("plannerInput").value.trim();
   if (!input) return toast("Type a message.");
   
   // Add user message to chat
+  const { st, p } = getActive();
+  const plannerChat = p.plannerChat;
   plannerChat.push({ role: "user", content: input });
+  store.set(st, `projects/${p.id}`);
   renderPlannerChat();
   els("plannerInput").value = "";
   
   setStatus("AI thinking...");
   log(`Book Planner: User asked: ${input}`);
   
+  const job = startJob("Book planner chat");
   try {
-    const systemPrompt = {
-      role: "system",
-      content: "You are an expert book planning assistant. Help the author develop their book idea by asking questions about genre, plot, characters, target word count, and chapter structure. Be conversational and helpful. When the author confirms they're ready, provide a complete book plan with: title, genre, target word count, number of chapters, chapter titles, plot outline, character descriptions, and writing style notes."
+    const tpl = promptTemplate("planner", p);
+    const vars = projectVars(p);
+    const systemPrompt = { role: "system", content: fillTemplate(tpl.system, vars) };
+    // each of the author's messages goes through the user template; one without
+    // {{message}} (e.g. saved while the default was empty) is put before the message
+    const turn = (m) => m.role !== "user" ? m : {
+      role: "user",
+      content: /\{\{\s*message\s*\}\}/.test(tpl.user)
+        ? fillTemplate(tpl.user, { ...vars, message: m.content })
+        : [fillTemplate(tpl.user, vars), m.content].filter(Boolean).join("\n\n")
     };
     
-    const out = await withRetries(() => rate.schedule(() =>
-      callAI([systemPrompt, ...plannerChat], 1500)
-    ), 2);
+    const live = appendPlannerBubble({ role: "assistant", content: "…" });
+    const show = streamInto(live, "AI: ");
+    const onToken = (delta, full) => {
+      show(delta, full);
+      els("plannerChatBox").scrollTop = els("plannerChatBox").scrollHeight;
+    };
+    const out = await withRetries(() => job.schedule(() =>
+      callAI([systemPrompt, ...plannerChat.map(turn)], 1500, { feature: "planner", signal: job.signal, onToken })
+    ), 2, job.signal);
     
     // Add AI response to chat
     plannerChat.push({ role: "assistant", content: out });
+    store.set(st, `projects/${p.id}`);
     renderPlannerChat();
     toast("AI responded");
     log("Book Planner: AI responded");
   } catch (e) {
+    renderPlannerChat();
+    if (isAbort(e)) return toast("Planner reply cancelled.");
     log(`Book Planner error: ${String(e?.message || e)}`);
     toast("AI failed (see logs).");
   } finally {
+    finishJob(job);
     setStatus("Ready");
   }
 }
@@ -975,109 +5206,116 @@ function renderPlannerChat() {
   const box = els("plannerChatBox");
   box.innerHTML = "";
   
-  plannerChat.forEach(msg => {
-    const div = document.createElement("div");
-    div.className = msg.role === "user" ? "chat-user" : "chat-ai";
-    div.textContent = `${msg.role === "user" ? "You" : "AI"}: ${msg.content}`;
-    box.appendChild(div);
-  });
+  getActive().p.plannerChat.forEach(appendPlannerBubble);
+}
+
+function appendPlannerBubble(msg) {
+  const box = els("plannerChatBox");
+  const div = document.createElement("div");
+  div.className = msg.role === "user" ? "chat-user" : "chat-ai";
+  div.textContent = `${msg.role === "user" ? "You" : "AI"}: ${msg.content}`;
+  box.appendChild(div);
   
   // Scroll to bottom
   box.scrollTop = box.scrollHeight;
+  return div;
 }
 
 function clearPlannerChat() {
-  plannerChat = [];
+  const { st, p } = getActive();
+  p.plannerChat = [];
+  store.set(st, `projects/${p.id}`);
   renderPlannerChat();
   toast("Chat cleared");
 }
 
+// AI reply -> complete plan; unparseable replies and missing fields fall back to defaults
+function parseBookPlan(reply) {
+  const defaults = {
+    title: "Untitled Book",
+    genre: "Fiction",
+    targetWordCount: 60000,
+    numChapters: 20,
+    chapterTitles: [],
+    plotOutline: "To be developed",
+    characterDescriptions: "To be developed",
+    styleNotes: "Engaging narrative style"
+  };
+  let raw = null;
+  try {
+    const jsonMatch = String(reply || "").match(/\{[\s\S]*\}/);
+    raw = JSON.parse(jsonMatch ? jsonMatch[0] : reply);
+  } catch {
+    raw = null;
+  }
+  const ok = raw && typeof raw === "object" && !Array.isArray(raw);
+  const plan = { ...defaults, ...(ok ? raw : {}), fromDefaults: !ok };
+  const num = (v, d) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Math.round(Number(v)) : d);
+  plan.numChapters = Math.min(200, num(plan.numChapters, defaults.numChapters));
+  plan.targetWordCount = num(plan.targetWordCount, defaults.targetWordCount);
+  const titles = Array.isArray(plan.chapterTitles) ? plan.chapterTitles : [];
+  plan.chapterTitles = Array.from({ length: plan.numChapters }, (_, i) => String(titles[i] || `Chapter ${i + 1}`));
+  for (const k of ["title", "genre", "plotOutline", "characterDescriptions", "styleNotes"]) {
+    plan[k] = typeof plan[k] === "string" && plan[k].trim() ? plan[k] : defaults[k];
+  }
+  return plan;
+}
+
 async function generateBookFromPlan() {
+  const plannerChat = getActive().p.plannerChat;
   if (plannerChat.length === 0) return toast("Chat with AI first to develop a plan.");
   
   setStatus("Extracting book plan...");
   log("Generating book from planner chat...");
+  const job = startJob("Extract book plan");
   
   try {
     // Ask AI to extract structured plan from chat
-    const extractPrompt = {
-      role: "system",
-      content: "Extract a structured book plan from the conversation. Return JSON with: {title, genre, targetWordCount, numChapters, chapterTitles: [], plotOutline, characterDescriptions, styleNotes}. If info is missing, use reasonable defaults."
-    };
+    const [extractPrompt, extractAsk] = promptMessages("planExtract");
     
-    const planJSON = await withRetries(() => rate.schedule(() =>
-      callAI([extractPrompt, ...plannerChat, { role: "user", content: "Extract the book plan as JSON now." }], 2000)
-    ), 2);
+    const planJSON = await withRetries(() => job.schedule(() =>
+      callAI([extractPrompt, ...plannerChat, extractAsk], 2000, { feature: "planner", signal: job.signal })
+    ), 2, job.signal);
+    // extraction is done; writing the book below runs as its own job
+    finishJob(job);
     
-    let plan;
-    try {
-      // Try to parse JSON from AI response
-      const jsonMatch = planJSON.match(/\{[\s\S]*\}/);
-      plan = JSON.parse(jsonMatch ? jsonMatch[0] : planJSON);
-    } catch (e) {
-      log("Failed to parse plan JSON, using defaults");
-      plan = {
-        title: "Untitled Book",
-        genre: "Fiction",
-        targetWordCount: 60000,
-        numChapters: 20,
-        chapterTitles: Array.from({length: 20}, (_, i) => `Chapter ${i+1}`),
-        plotOutline: "To be developed",
-        characterDescriptions: "To be developed",
-        styleNotes: "Engaging narrative style"
-      };
-    }
+    const plan = parseBookPlan(planJSON);
+    if (plan.fromDefaults) log("Failed to parse plan JSON, using defaults");
     
-    // Create new project
+    // Create new project; chapter texts are written by the AI
     const st = store.get();
-    const pid = crypto.randomUUID();
-    const chapters = {};
-    const chapterOrder = [];
-    
-    // Create chapters
-    const wordsPerChapter = Math.floor(plan.targetWordCount / plan.numChapters);
-    for (let i = 0; i < plan.numChapters; i++) {
-      const cid = crypto.randomUUID();
-      chapters[cid] = {
-        id: cid,
-        title: plan.chapterTitles[i] || `Chapter ${i+1}`,
-        text: "" // Will be written by AI
-      };
-      chapterOrder.push(cid);
-    }
-    
-    // Create project with metadata
-    st.projects[pid] = {
-      id: pid,
-      title: plan.title,
-      chapters,
-      chapterOrder,
-      cache: {
-        summaries: {},
-        styleGuide: plan.styleNotes || "",
-        characterBible: plan.characterDescriptions || "",
-        plotOutline: plan.plotOutline || ""
-      },
+    const titles = Array.from({ length: plan.numChapters }, (_, i) => plan.chapterTitles[i] || `Chapter ${i+1}`);
+    const p = newProject(plan.title, titles);
+    Object.assign(p, {
+      plannerChat: plannerChat.slice(),
       bookPlan: plan // Store the full plan
-    };
-    
+    });
+    Object.assign(p.cache, {
+      styleGuide: plan.styleNotes || "",
+      characterBible: plan.characterDescriptions || "",
+      plotOutline: plan.plotOutline || ""
+    });
+    st.projects[p.id] = p;
+    const pid = p.id;
+
     st.activeProjectId = pid;
-    st.activeChapterId = chapterOrder[0];
+    st.activeChapterId = p.chapterOrder[0];
+    st.activeSceneId = "";
     store.set(st);
     renderAll();
     
     toast(`Project "${plan.title}" created with ${plan.numChapters} chapters!`);
     log(`Book project created: ${plan.title}`);
     
-    // Ask if user wants to auto-write the book
-    if (confirm(`Project created! Write all chapters now using AI? (This will take several minutes)`)) {
-      await writeEntireBook(pid);
-    }
+    // Offer to auto-write the book (asks with a cost/time estimate)
+    await writeEntireBook(pid);
     
   } catch (e) {
+    if (isAbort(e)) return toast("Book plan extraction cancelled.");
     log(`Generate book error: ${String(e?.message || e)}`);
     toast("Failed to generate book (see logs).");
   } finally {
+    finishJob(job);
     setStatus("Ready");
   }
 }
@@ -1089,13 +5327,27 @@ async function writeEntireBook(projectId) {
   
   if (!plan) return toast("No book plan found.");
   
+  const wordsPerChapter = Math.floor(plan.targetWordCount / plan.numChapters);
+  const chapterOutTokens = Math.min(4000, wordsPerChapter * 2);
+  // per chapter: the chapter itself, then a short summary (skipped after the last)
+  const planTokens = estimateTokens(`${plan.plotOutline} ${plan.characterDescriptions} ${plan.styleNotes}`) + 150;
+  const requests = p.chapterOrder.flatMap((cid, i) => [
+    { inTokens: planTokens + (i ? 120 : 0), outTokens: chapterOutTokens },
+    ...(i < p.chapterOrder.length - 1 ? [{ inTokens: Math.min(chapterOutTokens, 520), outTokens: 300 }] : [])
+  ]);
+  if (!confirmEstimate(`Write all ${p.chapterOrder.length} chapters of "${p.title}" with AI`, estimateJob("bookWriter", requests), [
+    `Chapters: ${p.chapterOrder.length} (~${wordsPerChapter} words each)`
+  ])) return;
+  
   setStatus("Writing book...");
   log(`Starting full book write for: ${p.title}`);
   
-  const wordsPerChapter = Math.floor(plan.targetWordCount / plan.numChapters);
   let previousChapterSummary = "";
+  const job = startJob(`Write book: ${p.title}`);
+  let written = 0;
   
   for (let i = 0; i < p.chapterOrder.length; i++) {
+    if (job.signal.aborted) break;
     const cid = p.chapterOrder[i];
     const chapter = p.chapters[cid];
     
@@ -1103,72 +5355,209 @@ async function writeEntireBook(projectId) {
     setStatus(`Writing ${chapter.title}...`);
     
     try {
-      const chapterPrompt = [
-        {
-          role: "system",
-          content: `You are writing chapter ${i+1} of "${p.title}". Genre: ${plan.genre}. Target: ~${wordsPerChapter} words.\n\nPlot: ${plan.plotOutline}\nCharacters: ${plan.characterDescriptions}\nStyle: ${plan.styleNotes}\n\nWrite engaging, well-structured prose. Use proper paragraphing and dialogue.`
-        },
-        {
-          role: "user",
-          content: `Write chapter ${i+1}: "${chapter.title}".${previousChapterSummary ? `\n\nPrevious chapter summary: ${previousChapterSummary}` : ""}\n\nWrite approximately ${wordsPerChapter} words.`
-        }
-      ];
+      const chapterPrompt = promptMessages("bookChapter", {
+        chapterNumber: i + 1,
+        genre: plan.genre,
+        wordsPerChapter,
+        plotOutline: plan.plotOutline,
+        characterDescriptions: plan.characterDescriptions,
+        styleNotes: plan.styleNotes,
+        previousSummary: previousChapterSummary ? `Previous chapter summary: ${previousChapterSummary}` : ""
+      }, { p, c: chapter });
       
-      const chapterText = await withRetries(() => rate.schedule(() =>
-        callAI(chapterPrompt, Math.min(4000, wordsPerChapter * 2))
-      ), 2);
+      const chapterText = await withRetries(() => job.schedule(() =>
+        callAI(chapterPrompt, chapterOutTokens, {
+          feature: "bookWriter",
+          projectId,
+          signal: job.signal,
+          onToken: streamInto(els("aiOut"), `${chapter.title}\n\n`)
+        })
+      ), 2, job.signal);
       
       chapter.text = chapterText;
-      store.set(st);
+      written++;
+      store.set(st, `chapters/${chapter.id}`);
       
       // Generate summary for next chapter context
       if (i < p.chapterOrder.length - 1) {
-        const summaryPrompt = [
-          { role: "system", content: "Summarize this chapter in 3-4 sentences for continuity." },
-          { role: "user", content: chapterText.slice(0, 2000) }
-        ];
-        previousChapterSummary = await withRetries(() => rate.schedule(() =>
-          callAI(summaryPrompt, 300)
-        ), 1);
+        const summaryPrompt = promptMessages("bookSummary", { text: chapterText.slice(0, 2000) }, { p, c: chapter });
+        previousChapterSummary = await withRetries(() => job.schedule(() =>
+          callAI(summaryPrompt, 300, { feature: "bookWriter", projectId, signal: job.signal })
+        ), 1, job.signal);
       }
       
       log(`Completed ${chapter.title}`);
       
     } catch (e) {
+      if (isAbort(e)) break; // keep whatever the chapter had
       log(`Error writing ${chapter.title}: ${String(e?.message || e)}`);
       chapter.text = `[Error writing this chapter. Please write manually or retry.]`;
-      store.set(st);
+      store.set(st, `chapters/${chapter.id}`);
     }
     
     // Update UI
     if (i === 0) renderAll();
   }
   
-  toast(`Book "${p.title}" complete!`);
-  log(`Full book write complete: ${p.title}`);
+  finishJob(job);
+  if (job.signal.aborted) {
+    toast(`Book writing cancelled after ${written} chapter(s).`);
+    log(`Full book write cancelled: ${p.title} (${written} chapters written)`);
+  } else {
+    toast(`Book "${p.title}" complete!`);
+    log(`Full book write complete: ${p.title}`);
+  }
   setStatus("Ready");
   renderAll();
 }
-    setStatus("Ready");
-  }
-}
 
 /* -----------------------------
-   Snapshot / Apply AI Output
+   Revision history (per chapter)
+   - automatic before AI apply and DOCX import, plus manual save points
+   - newest MAX_REVISIONS kept per chapter
 --------------------------------*/
-function snapshot() {
-  const st = store.get();
-  st.snapshot = els("editor").value || "";
-  store.set(st);
-  toast("Snapshot saved");
+const MAX_REVISIONS = 60;
+
+function addRevision(p, cid, text, { label = "Save point", source = "manual" } = {}) {
+  const list = p.revisions[cid] || (p.revisions[cid] = []);
+  const last = list[list.length - 1];
+  if (last && last.text === (text || "")) return null;
+  const rev = { id: crypto.randomUUID(), at: Date.now(), label, source, text: text || "" };
+  list.push(rev);
+  if (list.length > MAX_REVISIONS) list.splice(0, list.length - MAX_REVISIONS);
+  return rev;
 }
-function restoreSnapshot() {
-  const st = store.get();
-  if (!st.snapshot) return toast("No snapshot saved.");
-  els("editor").value = st.snapshot;
-  els("editor").dispatchEvent(new Event("input"));
-  toast("Snapshot restored");
+
+// Revision of the active chapter as it is right now
+function reviseActive(label, source) {
+  const { st, p, c } = getActive();
+  const rev = addRevision(p, c.id, c.text, { label, source });
+  if (rev) {
+    store.set(st, `revisions/${c.id}`);
+    renderRevisions();
+  }
+  return rev;
+}
+
+function savePoint() {
+  const label = prompt("Label for this save point:", "Save point");
+  if (label === null) return;
+  const rev = reviseActive(label.trim() || "Save point", "manual");
+  toast(rev ? "Save point created" : "No changes since the last revision");
+}
+
+function getSelectedRevision() {
+  const { p, c } = getActive();
+  const id = els("revisionList").value;
+  return (p.revisions[c.id] || []).find(r => r.id === id) || null;
+}
+
+function restoreRevision() {
+  const rev = getSelectedRevision();
+  if (!rev) return toast("Select a revision first.");
+  if (!confirm(`Restore "${rev.label}" from ${new Date(rev.at).toLocaleString()}? Current text is kept as a revision.`)) return;
+  const { st, p, c } = getActive();
+  addRevision(p, c.id, c.text, { label: "Before restore", source: "restore" });
+  c.text = rev.text;
+  store.set(st, `chapters/${c.id}`, `revisions/${c.id}`);
+  renderAll();
+  toast("Revision restored");
+}
+
+function deleteRevision() {
+  const rev = getSelectedRevision();
+  if (!rev) return toast("Select a revision first.");
+  const { st, p, c } = getActive();
+  p.revisions[c.id] = p.revisions[c.id].filter(r => r.id !== rev.id);
+  store.set(st, `revisions/${c.id}`);
+  renderRevisions();
+  toast("Revision deleted");
+}
+
+function compareRevision() {
+  const rev = getSelectedRevision();
+  if (!rev) return toast("Select a revision first.");
+  const { c } = getActive();
+  renderDiff(diffLines(rev.text, c.text || ""), els("diffLeft"), els("diffRight"));
+  els("revisionDiff").classList.remove("hidden");
+}
+
+// Line diff: common prefix/suffix trimmed, LCS on the rest.
+// Returns [{ op: "=" | "-" | "+", text }] turning a into b.
+function diffLines(a, b) {
+  const A = (a || "").split("\n");
+  const B = (b || "").split("\n");
+  let pre = 0;
+  while (pre < A.length && pre < B.length && A[pre] === B[pre]) pre++;
+  let suf = 0;
+  while (suf < A.length - pre && suf < B.length - pre && A[A.length - 1 - suf] === B[B.length - 1 - suf]) suf++;
+
+  const a2 = A.slice(pre, A.length - suf);
+  const b2 = B.slice(pre, B.length - suf);
+  const ops = A.slice(0, pre).map(text => ({ op: "=", text }));
+  const n = a2.length;
+  const m = b2.length;
+
+  if (n * m > 4e6) {
+    // too large for LCS in the browser; show as a block replace
+    a2.forEach(text => ops.push({ op: "-", text }));
+    b2.forEach(text => ops.push({ op: "+", text }));
+  } else {
+    const dp = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        dp[i][j] = a2[i] === b2[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+      }
+    }
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+      if (a2[i] === b2[j]) { ops.push({ op: "=", text: a2[i] }); i++; j++; }
+      else if (dp[i + 1][j] >= dp[i][j + 1]) ops.push({ op: "-", text: a2[i++] });
+      else ops.push({ op: "+", text: b2[j++] });
+    }
+    while (i < n) ops.push({ op: "-", text: a2[i++] });
+    while (j < m) ops.push({ op: "+", text: b2[j++] });
+  }
+
+  A.slice(A.length - suf).forEach(text => ops.push({ op: "=", text }));
+  return ops;
+}
+
+// Side-by-side rendering; runs of removed/added lines are paired up row by row.
+function renderDiff(ops, left, right) {
+  left.innerHTML = "";
+  right.innerHTML = "";
+  const line = (pane, text, cls) => {
+    const div = document.createElement("div");
+    div.className = `diffLine ${cls}`;
+    div.textContent = text || "\u00a0";
+    pane.appendChild(div);
+  };
+
+  let dels = [];
+  let adds = [];
+  const flush = () => {
+    const rows = Math.max(dels.length, adds.length);
+    for (let k = 0; k < rows; k++) {
+      k < dels.length ? line(left, dels[k], "diffDel") : line(left, "", "diffPad");
+      k < adds.length ? line(right, adds[k], "diffAdd") : line(right, "", "diffPad");
+    }
+    dels = [];
+    adds = [];
+  };
+
+  for (const o of ops) {
+    if (o.op === "-") dels.push(o.text);
+    else if (o.op === "+") adds.push(o.text);
+    else {
+      flush();
+      line(left, o.text, "");
+      line(right, o.text, "");
+    }
+  }
+  flush();
 }
+
 function clearAiOutput() {
   els("aiOut").textContent = "";
   toast("AI output cleared");
@@ -1176,6 +5565,7 @@ function clearAiOutput() {
 function applyAiInsert() {
   const out = (els("aiOut").textContent || "").trim();
   if (!out) return toast("No AI output to apply.");
+  reviseActive("Before AI insert", "ai");
   insertBelowCursor(out);
   toast("Inserted below cursor");
 }
@@ -1184,6 +5574,7 @@ function applyAiReplaceSelection() {
   if (!out) return toast("No AI output to apply.");
   const sel = getSelectionInEditor();
   if (!sel) return toast("Select text first (or use Insert).");
+  reviseActive("Before AI replace", "ai");
   replaceSelectionWith(out);
   toast("Selection replaced");
 }
@@ -1194,28 +5585,167 @@ function applyAiReplaceSelection() {
 function saveKeys() {
   localStorage.setItem(KEY_GROQ, els("groqKey").value.trim());
   localStorage.setItem(KEY_PPLX, els("pplxKey").value.trim());
+  localStorage.setItem(KEY_OAI, els("oaiKey").value.trim());
   toast("Keys saved in this browser");
 }
 function forgetKeys() {
   localStorage.removeItem(KEY_GROQ);
   localStorage.removeItem(KEY_PPLX);
+  localStorage.removeItem(KEY_OAI);
   els("groqKey").value = "";
   els("pplxKey").value = "";
+  els("oaiKey").value = "";
   toast("Keys forgotten");
 }
 function savePerf() {
   const st = store.get();
+  const headers = els("oaiHeaders").value.trim();
+  try {
+    parseHeaders(headers);
+  } catch (e) {
+    return toast(`Extra headers: ${e.message}`);
+  }
+  st.settings.oaiHeaders = headers;
+  st.settings.oaiBaseUrl = els("oaiBaseUrl").value.trim();
+  st.settings.oaiModel = els("oaiModel").value.trim();
   st.settings.maxChunkTokens = Number(els("maxChunkTokens").value || 1200);
+  st.settings.contextBudget = Math.max(0, Number(els("contextBudget").value) || 0);
+  st.settings.retrievalPassages = Math.max(0, Math.floor(Number(els("retrievalPassages").value) || 0));
+  st.settings.retrievalEmbeddings = els("retrievalEmbeddings").checked;
+  st.settings.embeddingModel = els("embeddingModel").value.trim() || defaultSettings().embeddingModel;
   st.settings.minIntervalMs = Number(els("minIntervalMs").value || 900);
   st.settings.maxConcurrent = Number(els("maxConcurrent").value || 2);
   st.settings.chunkOutTokens = Number(els("chunkOutTokens").value || 700);
   st.settings.groqModel = (els("groqModel").value || st.settings.groqModel).trim();
   st.settings.pplxModel = (els("pplxModel").value || st.settings.pplxModel).trim();
-  store.set(st);
+  st.settings.ollamaBaseUrl = (els("ollamaBaseUrl").value || st.settings.ollamaBaseUrl).trim();
+  st.settings.ollamaModel = (els("ollamaModel").value || st.settings.ollamaModel).trim();
+  st.settings.mock = {
+    latencyMs: Math.max(0, Number(els("mockLatencyMs").value) || 0),
+    failEvery: Math.max(0, Math.floor(Number(els("mockFailEvery").value) || 0)),
+    failKind: els("mockFailKind").value,
+    malformedJson: els("mockMalformedJson").checked
+  };
+  store.set(st, "meta");
   rate = limiter(); // rebuild limiter with new values
   toast("Optimization settings saved");
 }
 
+async function refreshOllamaModels() {
+  setStatus("Ollama…");
+  try {
+    const st = store.get();
+    st.settings.ollamaBaseUrl = (els("ollamaBaseUrl").value || st.settings.ollamaBaseUrl).trim();
+    store.set(st, "meta");
+    const models = await listOllamaModels();
+    if (!models.length) return toast("Ollama is running but has no models. Try: ollama pull llama3.1");
+    renderOllamaModels(models);
+    log(`Ollama models: ${models.join(", ")}`);
+    toast(`Found ${models.length} Ollama model(s)`);
+  } catch (e) {
+    log(`Ollama model list error: ${String(e?.message || e)}`);
+    toast("Couldn't reach Ollama (see logs).");
+  } finally {
+    setStatus("Ready");
+  }
+}
+
+function renderOllamaModels(models) {
+  const sel = els("ollamaModel");
+  const current = store.get().settings.ollamaModel;
+  sel.innerHTML = "";
+  for (const name of new Set([...models, current].filter(Boolean))) {
+    const opt = document.createElement("option");
+    opt.value = name;
+    opt.textContent = name;
+    sel.appendChild(opt);
+  }
+  sel.value = current;
+}
+
+function saveOllamaModel() {
+  const st = store.get();
+  st.settings.ollamaModel = els("ollamaModel").value;
+  store.set(st, "meta");
+  toast(`Ollama model: ${st.settings.ollamaModel}`);
+}
+
+function renderRoutes() {
+  const routes = store.get().settings.routes || {};
+  const grid = els("routeGrid");
+  grid.innerHTML = "";
+  for (const f of AI_FEATURES) {
+    const wrap = document.createElement("div");
+    const label = document.createElement("div");
+    label.className = "small";
+    label.textContent = f.name;
+    const sel = document.createElement("select");
+    sel.className = "select mt6";
+    sel.dataset.feature = f.id;
+    for (const [id, name] of [["", "AI Mode (default)"], ...Object.entries(PROVIDERS).map(([id, pr]) => [id, pr.name])]) {
+      const opt = document.createElement("option");
+      opt.value = id;
+      opt.textContent = name;
+      sel.appendChild(opt);
+    }
+    sel.value = routes[f.id] || "";
+    sel.onchange = () => saveRoute(f.id, sel.value);
+    wrap.append(label, sel);
+    grid.appendChild(wrap);
+  }
+}
+
+const FALLBACK_SLOTS = 3;
+
+function renderFallbacks() {
+  const chain = store.get().settings.fallbacks || [];
+  const grid = els("fallbackGrid");
+  grid.innerHTML = "";
+  for (let i = 0; i < FALLBACK_SLOTS; i++) {
+    const wrap = document.createElement("div");
+    const label = document.createElement("div");
+    label.className = "small";
+    label.textContent = `Fallback ${i + 1}`;
+    const sel = document.createElement("select");
+    sel.className = "select mt6";
+    for (const [id, name] of [["", "(none)"], ...Object.entries(PROVIDERS).map(([id, pr]) => [id, pr.name])]) {
+      const opt = document.createElement("option");
+      opt.value = id;
+      opt.textContent = name;
+      sel.appendChild(opt);
+    }
+    sel.value = chain[i] || "";
+    sel.onchange = saveFallbacks;
+    wrap.append(label, sel);
+    grid.appendChild(wrap);
+  }
+}
+
+function saveFallbacks() {
+  const st = store.get();
+  const ids = [...els("fallbackGrid").querySelectorAll("select")].map(s => s.value).filter(Boolean);
+  st.settings.fallbacks = [...new Set(ids)];
+  store.set(st, "meta");
+  renderFallbacks();
+  toast(st.settings.fallbacks.length
+    ? `Fallbacks: ${st.settings.fallbacks.map(id => PROVIDERS[id].name).join(" → ")}`
+    : "Fallbacks off");
+}
+
+function saveRoute(feature, provider) {
+  const st = store.get();
+  st.settings.routes = { ...(st.settings.routes || {}), [feature]: provider };
+  store.set(st, "meta");
+  const name = AI_FEATURES.find(f => f.id === feature)?.name || feature;
+  toast(`${name} → ${provider ? PROVIDERS[provider].name : "AI Mode"}`);
+}
+
+function copyText(text) {
+  navigator.clipboard.writeText(text)
+    .then(() => toast(`Copied: ${text}`))
+    .catch(() => toast("Clipboard not available."));
+}
+
 function exportLogs() {
   const content = store.get().logs.join("\n");
   downloadBlob(new Blob([content], { type: "text/plain" }), "author_house_logs.txt");
@@ -1250,8 +5780,17 @@ function renderProjectUI() {
   cs.value = st.activeChapterId;
 
   // editor + title
-  els("chapterTitle").value = c.title;
-  els("editor").value = c.text;
+  if (els("chapterTitle").value !== c.title) els("chapterTitle").value = c.title;
+  renderScenes();
+  const cur = activeScene();
+  editorRange = cur && { id: cur.scene.id, start: cur.start, end: cur.end };
+  const ta = els("editor");
+  const text = cur ? cur.text : (c.text || "");
+  if (ta.value !== text) {
+    const caret = ta.selectionStart;
+    ta.value = text;
+    ta.selectionStart = ta.selectionEnd = Math.min(caret, text.length);
+  }
 
   // pipeline brief
   els("pipelineBrief").value = st.settings.pipelineBrief;
@@ -1268,23 +5807,727 @@ function renderSettings() {
   const st = store.get();
   els("groqKey").value = getGroqKey();
   els("pplxKey").value = getPplxKey();
+  els("oaiKey").value = getOaiKey();
 
   els("groqModel").value = st.settings.groqModel;
   els("pplxModel").value = st.settings.pplxModel;
+  els("ollamaBaseUrl").value = st.settings.ollamaBaseUrl;
+  els("oaiBaseUrl").value = st.settings.oaiBaseUrl;
+  els("oaiModel").value = st.settings.oaiModel;
+  els("oaiHeaders").value = st.settings.oaiHeaders;
+  renderOllamaModels([st.settings.ollamaModel]);
 
   els("maxChunkTokens").value = st.settings.maxChunkTokens;
+  els("contextBudget").value = st.settings.contextBudget;
+  els("retrievalPassages").value = st.settings.retrievalPassages;
+  els("retrievalEmbeddings").checked = st.settings.retrievalEmbeddings;
+  els("embeddingModel").value = st.settings.embeddingModel;
   els("minIntervalMs").value = st.settings.minIntervalMs;
   els("maxConcurrent").value = st.settings.maxConcurrent;
   els("chunkOutTokens").value = st.settings.chunkOutTokens;
+  els("mockLatencyMs").value = st.settings.mock.latencyMs;
+  els("mockFailEvery").value = st.settings.mock.failEvery;
+  els("mockFailKind").value = st.settings.mock.failKind;
+  els("mockMalformedJson").checked = st.settings.mock.malformedJson;
+  els("modelPrices").value = JSON.stringify(st.settings.modelPrices, null, 2);
+  els("monthlyBudget").value = st.settings.monthlyBudget;
+  els("budgetMode").value = st.settings.budgetMode;
+  renderRoutes();
+  renderFallbacks();
+}
+
+function renderRevisions() {
+  const { p, c } = getActive();
+  const list = els("revisionList");
+  list.innerHTML = "";
+  const revs = (p.revisions[c.id] || []).slice().reverse();
+  for (const r of revs) {
+    const opt = document.createElement("option");
+    opt.value = r.id;
+    const words = (r.text.match(/\S+/g) || []).length;
+    opt.textContent = `${new Date(r.at).toLocaleString()} — ${r.label} (${words} words)`;
+    list.appendChild(opt);
+  }
+  if (!revs.length) {
+    const opt = document.createElement("option");
+    opt.disabled = true;
+    opt.textContent = "No revisions yet for this chapter.";
+    list.appendChild(opt);
+  }
+  els("revisionDiff").classList.add("hidden");
 }
 
 function renderAll() {
   renderProjectUI();
+  renderRevisions();
+  renderPlannerChat();
   renderSettings();
+  renderPromptEditor();
+  renderQuickActions();
+  renderBible();
+  renderContinuity();
+  renderTimeline();
+  renderCorkboard();
+  renderUsage();
   renderLogs();
 }
 // Force redeploy
 
+/* -----------------------------
+   Self-tests (Settings → Run self-tests, or open index.html#selftest)
+   - an in-browser suite: they need the page's DOM and run only inside it
+   - run against a throwaway in-memory state with every feature routed to
+     the mock provider; nothing is saved and saved data is untouched
+   - results go to #selfTestOut, and document.title ends in PASS or FAIL
+   - the sandbox swaps page-wide state, so tests refuse to start while AI
+     jobs run and sync from other tabs waits until they finish
+--------------------------------*/
+const SELF_TESTS = [];
+const selfTest = (name, fn) => SELF_TESTS.push({ name, fn });
+let selfTesting = false;
+
+function assert(cond, msg = "assertion failed") {
+  if (!cond) throw new Error(msg);
+}
+function assertEqual(actual, expected, msg = "") {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${msg ? msg + ": " : ""}expected ${e}, got ${a}`);
+}
+
+// Swap in a fresh state that is never written; UI inputs the features read are restored after
+async function withSandbox(fn) {
+  await store.flush();
+  const saved = { state: store.state, db: store.db, legacy: store.legacy, vectors: store.vectors, rate, confirm: window.confirm, prompt: window.prompt };
+  const inputs = ["pipelineScope", "pipelineBrief", "pipelineOut", "aiOut", "promptId", "promptScope", "promptSystem", "promptUser"]
+    .map(id => [id, els(id).value, els(id).textContent]);
+  const forms = { promptFormKey };
+  store.db = null;
+  store.legacy = false;
+  store.vectors = new Map();
+  const st = store.state = seedState();
+  st.settings.routes = Object.fromEntries(AI_FEATURES.map(f => [f.id, "mock"]));
+  st.settings.fallbacks = [];
+  st.settings.mock = { latencyMs: 0, failEvery: 0, failKind: "rate_limit", malformedJson: false };
+  st.settings.minIntervalMs = 0;
+  rate = limiter();
+  mockAI.calls = [];
+  mockAI.script = [];
+  window.confirm = () => true;
+  window.prompt = (message, value) => value;
+  try {
+    await fn(st);
+  } finally {
+    clearTimeout(store.flushTimer);
+    Object.assign(store, { state: saved.state, db: saved.db, legacy: saved.legacy, vectors: saved.vectors });
+    rate = saved.rate;
+    window.confirm = saved.confirm;
+    window.prompt = saved.prompt;
+    delete cooldownUntil.mock;
+    for (const [id, value, text] of inputs) {
+      els(id).value = value;
+      els(id).textContent = text;
+    }
+    ({ promptFormKey } = forms);
+    renderAll();
+  }
+}
+
+const sampleProse = (n, tag = "") => Array.from({ length: n }, (_, i) =>
+  `Paragraph ${i + 1}${tag}. The lighthouse keeper counted the ships that never came, and the sea answered with the same grey patience it always had.`
+).join("\n\n");
+
+selfTest("chunkText keeps chunks under the budget and hashes stable", () => {
+  const text = sampleProse(40);
+  const chunks = chunkText(text, { maxTokens: 300, overlapTokens: 40 });
+  assert(chunks.length > 1, "expected several chunks");
+  for (const ch of chunks) assert(ch.tokens <= 300, `chunk of ${ch.tokens} tokens`);
+  for (let i = 1; i <= 40; i++) assert(chunks.some(ch => ch.text.includes(`Paragraph ${i}.`)), `paragraph ${i} missing`);
+  assertEqual(chunkText(text, { maxTokens: 300, overlapTokens: 40 }).map(c => c.hash), chunks.map(c => c.hash), "hashes");
+  assertEqual(chunkText("   ", { maxTokens: 300 }), [], "empty text");
+});
+
+selfTest("two tabs' changes to the same record are merged field by field", () => {
+  const base = { title: "Book", chapterOrder: ["a", "b", "c"], settings: { x: 1, y: 1 } };
+  const mine = { title: "Book", chapterOrder: ["a", "m", "b", "c"], settings: { x: 2, y: 1 } };
+  const theirs = { title: "Book II", chapterOrder: ["a", "b", "t"], settings: { x: 1, y: 3 } };
+  assertEqual(mergeRecord(base, mine, theirs), { title: "Book II", chapterOrder: ["a", "m", "b", "t"], settings: { x: 2, y: 3 } });
+  assertEqual(mergeRecord(base, base, theirs), theirs, "unchanged here: take theirs");
+  assertEqual(mergeRecord({ v: 1 }, { v: 2 }, { v: 3 }), { v: 2 }, "same field on both sides: this tab wins");
+});
+
+selfTest("pipeline reuses cached chunks and only re-runs edited ones", async (st) => {
+  const { p, c } = getActive();
+  c.text = sampleProse(30);
+  st.settings.maxChunkTokens = 400;
+  els("pipelineScope").value = "chapter";
+  els("pipelineBrief").value = "Test brief";
+  const chunks = chunkText(c.text, { maxTokens: 400, overlapTokens: 120 }).length;
+
+  await runPipeline();
+  assertEqual(mockAI.calls.length, chunks * PIPELINE_ROLES.length, "first run requests");
+  assertEqual(Object.keys(p.cache.pipelineCache).length, chunks * PIPELINE_ROLES.length, "cache entries");
+  assert(els("pipelineOut").textContent.includes("Mock (testing) / mock"), "report names the provider");
+
+  mockAI.calls = [];
+  await runPipeline();
+  assertEqual(mockAI.calls.length, 0, "second run requests");
+
+  c.text = c.text.replace("Paragraph 30.", "Paragraph 30, rewritten.");
+  await runPipeline();
+  assert(mockAI.calls.length > 0 && mockAI.calls.length < chunks * PIPELINE_ROLES.length, `edited run made ${mockAI.calls.length} requests`);
+});
+
+selfTest("character bible reads every chapter and re-reads only changed ones", async (st) => {
+  const { p, c } = getActive();
+  c.text = sampleProse(12, " (harbour)");
+  const later = [1, 2].map(i => ({ id: crypto.randomUUID(), title: `Part ${i + 1}`, text: sampleProse(3, ` (Ilse, chapter ${i + 1})`) }));
+  for (const ch of later) {
+    p.chapters[ch.id] = ch;
+    p.chapterOrder.push(ch.id);
+  }
+  st.settings.maxChunkTokens = 200;
+  const chunks = chunkText(c.text, { maxTokens: 200, overlapTokens: 60 }).length;
+  assert(chunks > 1, "first chapter spans several chunks");
+
+  await buildCharacterBible();
+  const reads = mockAI.calls.filter(x => x.messages.at(-1).content.startsWith("Build a character bible"));
+  assertEqual(reads.length, chunks + 2, "every chunk read once");
+  assert(reads.some(x => x.messages.at(-1).content.includes("Ilse, chapter 3")), "last chapter read");
+  assert(p.cache.characterBible, "bible saved");
+  assertEqual(Object.keys(p.cache.bookNotes.characterBible).length, 3, "notes per chapter");
+
+  mockAI.calls = [];
+  await buildCharacterBible();
+  assertEqual(mockAI.calls.length, 0, "unchanged book makes no requests");
+
+  later[1].text += "\n\nIlse left the island.";
+  await buildCharacterBible();
+  const texts = mockAI.calls.map(x => x.messages.at(-1).content);
+  assertEqual(texts.filter(t => t.startsWith("Build a character bible")).length, 1, "only the edited chapter re-read");
+  assert(texts.some(t => t.includes("Merge them")), "final merge re-run");
+});
+
+selfTest("an edited chapter whose notes come out the same reuses the cached merges", async (st) => {
+  const { p, c } = getActive();
+  c.text = sampleProse(3, " (harbour)");
+  const next = { id: crypto.randomUUID(), title: "Part 2", text: sampleProse(3, " (Ilse)") };
+  p.chapters[next.id] = next;
+  p.chapterOrder.push(next.id);
+  await buildCharacterBible();
+  const notes = p.cache.bookNotes.characterBible[next.id].text;
+
+  mockAI.calls = [];
+  next.text += "\n\nIlse left the island.";
+  mockAI.script.push({ reply: notes });
+  await buildCharacterBible();
+  assertEqual(mockAI.calls.length, 1, "only the edited chapter re-read; the book merge came from the cache");
+});
+
+selfTest("whole-book merges split big notes whole and give the final merge more room", async (st) => {
+  const big = JSON.stringify({
+    characters: Array.from({ length: 30 }, (_, i) => ({ name: `Person ${i + 1}`, description: sampleProse(1) })),
+    locations: [{ name: "The Harbour" }]
+  });
+  const split = splitNote(big, 300);
+  assert(split.length > 1 && split.every(t => estimateTokens(t) <= 300), "split under the cap");
+  assertEqual(split.flatMap(t => JSON.parse(t).characters || []).length, 30, "no entry cut or lost");
+  assertEqual(split.flatMap(t => JSON.parse(t).locations || []), [{ name: "The Harbour" }]);
+  assertEqual(splitNote(sampleProse(20), 300).join("\n\n"), sampleProse(20), "prose split at paragraphs");
+
+  const { p, c } = getActive();
+  c.text = sampleProse(3, " (harbour)");
+  for (const i of [2, 3]) {
+    const id = crypto.randomUUID();
+    p.chapters[id] = { id, title: `Part ${i}`, text: sampleProse(3, ` (chapter ${i})`) };
+    p.chapterOrder.push(id);
+  }
+  await buildStyleGuide();
+  const merges = mockAI.calls.filter(x => x.messages.at(-1).content.startsWith("These style notes"));
+  assertEqual(merges.map(x => x.maxTokens), [CONSISTENCY_DOCS.styleGuide.bookOutTokens]);
+  const mergeKeys = () => Object.keys(p.cache.pipelineCache).filter(k => k.startsWith("styleGuide.merge:"));
+  const before = mergeKeys();
+  c.text += "\n\nThe tide turned.";
+  await buildStyleGuide();
+  assertEqual(mergeKeys().length, 1, "the merge of the old notes is dropped");
+  assert(!before.includes(mergeKeys()[0]), "a new merge was made");
+});
+
+selfTest("story bible repairs bad JSON and keeps manual edits on rebuild", async (st) => {
+  const { p, c } = getActive();
+  assertEqual(JSON.parse(repairJson("Here you go:\n```json\n{characters: [{\"name\": \"Mara\", \"age\": 30,},]}\n```\nHope this helps")),
+    { characters: [{ name: "Mara", age: 30 }] });
+  assertEqual(JSON.parse(repairJson("{\"characters\": [{\"name\": \"Mara\", \"eyes\": \"gre")), { characters: [{ name: "Mara", eyes: "gre" }] });
+  assertEqual(JSON.parse(repairJson("{\"a\": \"x, note: y\", \"b\"")), { a: "x, note: y" });
+
+  c.text = "Mara climbed to the lighthouse. Tobias waited below.";
+  await buildCharacterBible();
+  const bible = projectBible(p);
+  const mara = bible.entities.find(e => e.name === "Mara");
+  assert(mara && bible.entities.some(e => e.kind === "location"), "characters and locations parsed");
+  assertEqual(mara.aliases, ["Mara Quinn"]);
+
+  bibleSelected = mara.id;
+  renderBible();
+  els("bibleDetails").value = els("bibleDetails").value.replace(/^age: .*$/m, "age: 31");
+  saveBibleEntry();
+  assertEqual(mara.edited, ["details.age"]);
+  bibleSelected = bible.entities.find(e => e.name === "Tobias").id;
+  deleteBibleEntry();
+
+  c.text += " Mara is older now.";
+  await buildCharacterBible();
+  assertEqual(mara.details.age, "31", "manual edit kept");
+  assert(!bible.entities.some(e => e.name === "Tobias"), "deleted entry stays deleted");
+  assertEqual(bibleMentions(p, mara).map(m => [m.count, m.at]), [[2, 0]]);
+  c.text = `Then ${c.text}`;
+  assertEqual(bibleMentions(p, mara).map(m => [m.count, m.at]), [[2, 5]], "an edited chapter is searched again");
+
+  bibleSelected = mara.id;
+  renderBible();
+  els("bibleSummary").value = "unsaved edit";
+  renderAll();
+  assertEqual(els("bibleSummary").value, "unsaved edit", "a render keeps the form");
+  assert(projectVars(p, c).characterBible.includes("age: 31"), "prompts see the edited bible");
+
+  mockAI.script.push({ reply: "Sorry, I can't produce JSON." }, { reply: "{\"characters\": [{\"name\": \"Ilse\"}]}" });
+  c.text += " Ilse arrived.";
+  await buildCharacterBible();
+  assert(bible.entities.some(e => e.name === "Ilse"), "repair request used");
+  bibleSelected = null;
+});
+
+selfTest("continuity checker flags facts that disagree between chapters", async (st) => {
+  const { p, c } = getActive();
+  c.text = "A bandage covered the wound on her left arm. Mara was thirty.";
+  const later = { id: crypto.randomUUID(), title: "Chapter 9", text: "Mara Quinn winced; her right arm still hurt. Tobias held the key." };
+  p.chapters[later.id] = later;
+  p.chapterOrder.push(later.id);
+  projectBible(p).entities.push({ id: "m", kind: "character", name: "Mara", aliases: ["Mara Quinn"], summary: "", details: {}, origin: "user", edited: [] });
+  const fact = (entity, attribute, subject, value, quote) => ({ entity, attribute, subject, value, quote });
+  mockAI.script.push(
+    { reply: JSON.stringify({ facts: [fact("Mara", "injury", "arm", "left", "the wound on her left arm"), fact("Mara", "age", "", "30", ""),
+      fact("Mara", "eye colour", "", "blue", ""), fact("silver key", "possession", "", "Mara", "")] }) },
+    { reply: "```json\n" + JSON.stringify({ facts: [fact("Mara Quinn", "injury", "arm", "right", "her right arm still hurt"), fact("Mara Quinn", "age", "", "29", ""),
+      fact("Mara Quinn", "eye colour", "", "pale blue", ""), fact("silver key", "possession", "", "Tobias", "Tobias held the key")] }) + "\n```" }
+  );
+
+  await runContinuityCheck();
+  const issues = continuityIssues(p);
+  assertEqual(issues.map(i => [i.severity, i.attribute]), [["conflict", "injury"], ["conflict", "age"], ["check", "possession"]]);
+  assertEqual([issues[0].a.cid, issues[0].b.cid], [c.id, later.id]);
+  assertEqual(locateFact(later.text, issues[0].b), { at: 19, length: 24 });
+
+  mockAI.calls = [];
+  later.text += " Rain fell.";
+  mockAI.script.push({ reply: JSON.stringify({ facts: [fact("Mara", "injury", "arm", "left arm", "")] }) });
+  await runContinuityCheck();
+  assertEqual(mockAI.calls.length, 1, "only the edited chapter re-read");
+  assertEqual(continuityIssues(p), [], "the wound now agrees; the other facts are gone");
+});
+
+selfTest("timeline orders events by story date and flags impossible sequences", async (st) => {
+  const { p, c } = getActive();
+  assertEqual(storyDay("Day 3 evening"), { day: 3.8, timed: true });
+  assertEqual(storyDay("Year 2, Day 1").day, 366);
+  assertEqual(storyDay("1888-03-15 12:00").day - storyDay("1888-03-14").day, 1.5);
+  assert(isNaN(storyDay("the next week").day), "undated");
+
+  c.text = "Mara reached the harbour on the third evening.";
+  const later = { id: crypto.randomUUID(), title: "Chapter 2", text: "That same evening, Mara sat in the lighthouse. Years before, she was born." };
+  p.chapters[later.id] = later;
+  p.chapterOrder.push(later.id);
+  mockAI.script.push(
+    { reply: JSON.stringify({ events: [{ title: "Mara reaches the harbour", when: "Day 3 evening", characters: ["Mara"], location: "Harbour", ages: { Mara: 30 } }] }) },
+    { reply: JSON.stringify({ events: [
+      { title: "Mara in the lighthouse", when: "Day 3 evening", characters: ["Mara"], location: "Lighthouse" },
+      { title: "Mara is born", when: "Day -3650", characters: ["Mara"], location: "Harbour", ages: { Mara: 0 } }
+    ] }) }
+  );
+  await extractTimeline();
+  assert(mockAI.calls[1].messages.at(-1).content.includes("Day 3 evening (Mara reaches the harbour)"), "calendar continues from chapter 1");
+  assertEqual(sortedEvents(p).map(e => e.title), ["Mara is born", "Mara reaches the harbour", "Mara in the lighthouse"]);
+  const issues = timelineIssues(p);
+  assertEqual(issues.map(i => i.severity), ["conflict", "conflict"]);
+  assert(issues.some(i => i.text.includes("Harbour and Lighthouse")) && issues.some(i => i.text.includes("is 0 at Day -3650 but 30")), "both problems reported");
+
+  // a hand-edited event survives re-extraction of its chapter
+  timelineSelected = projectTimeline(p).events.find(e => e.title === "Mara in the lighthouse").id;
+  renderTimeline();
+  els("tlWhen").value = "Day 4 morning";
+  els("tlTitle").value = "Mara keeps the lamp";
+  renderAll();
+  assertEqual(els("tlWhen").value, "Day 4 morning", "a render keeps unsaved edits");
+  saveTimelineEvent();
+  later.text += " The lamp went out.";
+  mockAI.script.push({ reply: JSON.stringify({ events: [{ title: "Mara in the lighthouse", when: "Day 3 evening", characters: ["Mara"], location: "Lighthouse" }] }) });
+  await extractTimeline();
+  assertEqual(sortedEvents(p).map(e => e.when), ["Day 3 evening", "Day 4 morning"], "the edited event is not added again");
+  assertEqual(timelineIssues(p), []);
+
+  // without a time, the event could be at any hour of that day
+  timelineSelected = null;
+  renderTimeline(true);
+  els("tlTitle").value = "Mara at the market";
+  els("tlWhen").value = "Day 3";
+  els("tlCharacters").value = "Mara";
+  els("tlLocation").value = "Market";
+  saveTimelineEvent();
+  assertEqual(timelineIssues(p).map(i => i.severity), ["check"]);
+  timelineSelected = null;
+});
+
+selfTest("scenes split the chapter and keep their details through edits and moves", async (st) => {
+  const { p, c } = getActive();
+  c.text = "Mara at the harbour.\n\n* * *\n\nTobias in the tower.\n\n***\n\nThe storm breaks.";
+  const scenes = chapterScenes(c);
+  assertEqual(scenes.map(x => x.text), ["Mara at the harbour.", "Tobias in the tower.", "The storm breaks."]);
+  assertEqual(chapterScenes(c).map(x => x.scene.id), scenes.map(x => x.scene.id), "reading twice gives the same scenes");
+  assertEqual(c.scenes, undefined, "reading changes nothing");
+  setActiveScene(scenes[1].scene.id);
+  els("scenePov").value = "Tobias";
+  saveSceneMeta();
+  const ta = els("editor");
+  assertEqual(ta.value, "Tobias in the tower.");
+
+  // rewriting the opening and typing a break inside the scene
+  ta.value = "Tobias climbs the tower.\n\n* * *\n\nHe lights the lamp.";
+  ta.dispatchEvent(new Event("input"));
+  assertEqual(c.text, "Mara at the harbour.\n\n* * *\n\nTobias climbs the tower.\n\n* * *\n\nHe lights the lamp.\n\n***\n\nThe storm breaks.");
+  assertEqual(chapterScenes(c).map(x => x.scene.pov), ["", "Tobias", "", ""]);
+
+  const storm = c.scenes[3];
+  setActiveScene(storm.id);
+  moveScene(-1);
+  assertEqual(chapterScenes(c).map(x => x.text.split(" ")[0]), ["Mara", "Tobias", "The", "He"]);
+  assertEqual(c.scenes[2].id, storm.id);
+  assert(p.revisions[c.id].length >= 1, "revision before the move");
+
+  await quickSummaryFacts();
+  assert(mockAI.calls[0].messages.at(-1).content.includes("The storm breaks.") && !mockAI.calls[0].messages.at(-1).content.includes("Mara"), "summary read only the scene");
+  assert(p.cache.sceneSummaries[storm.id] && !p.cache.summaries[storm.id], "scene summary cached by scene id");
+  const copy = remapProjectIds(p);
+  const copied = copy.chapters[copy.chapterOrder[0]].scenes[2];
+  assert(copied.id !== storm.id && copy.cache.sceneSummaries[copied.id] === p.cache.sceneSummaries[storm.id], "a copied project's scenes get their own ids");
+
+  createProject();
+  const other = st.activeProjectId;
+  setActiveProject(p.id);
+  setActiveScene(storm.id);
+  setActiveProject(other);
+  assertEqual(st.activeSceneId, "", "switching projects leaves the scene");
+  setActiveProject(p.id);
+  setActiveScene(storm.id);
+  createProject();
+  assertEqual(st.activeSceneId, "", "a new project opens on the whole chapter");
+});
+
+selfTest("corkboard reorders, splits and merges chapters", async (st) => {
+  const { p } = getActive();
+  const [a] = p.chapterOrder;
+  createChapter();
+  const b = p.chapterOrder[1];
+  Object.assign(p.chapters[a], { text: "One.\n\nTwo.\n\nThree.\n\nFour.", tags: ["harbour"], targetWords: 1000, status: "Revised" });
+  Object.assign(p.chapters[b], { text: "Five.", tags: ["storm", "harbour"], targetWords: 500 });
+  st.activeChapterId = b;
+  assertEqual(chapterMeta(p.chapters[b]).status, "Draft");
+
+  moveChapter(b, 0);
+  assertEqual(p.chapterOrder.slice(0, 2), [b, a]);
+
+  // started from the corkboard, a caret left in the editor doesn't count
+  st.activeChapterId = a;
+  renderAll();
+  els("editor").setSelectionRange(2, 2);
+  corkSelected = a;
+  renderCorkboard();
+  els("corkSynopsis").focus();
+  els("corkSynopsis").value = "unsaved synopsis";
+  renderAll();
+  assertEqual(els("corkSynopsis").value, "unsaved synopsis", "a render keeps the details form");
+  splitChapter(a);
+  const added = p.chapterOrder[2];
+  assertEqual([p.chapters[a].text, p.chapters[added].text], ["One.\n\nTwo.", "Three.\n\nFour."]);
+  assertEqual([p.chapters[added].status, p.chapters[added].tags], ["Revised", ["harbour"]]);
+  assert(p.revisions[a].length >= 1, "revision before the split");
+
+  p.cache.chapterFacts[a] = { hash: "x", facts: [] };
+  p.cache.bookNotes.styleGuide = { [a]: { hash: "x", text: "notes" } };
+  projectTimeline(p).read[a] = "x";
+  p.cache.summaries[b] = "Five.";
+  mergeWithNext(b);
+  assertEqual(p.chapterOrder.slice(0, 2), [b, added]);
+  assert(!p.cache.chapterFacts[a] && !p.cache.bookNotes.styleGuide[a] && !projectTimeline(p).read[a], "caches of the merged chapter dropped");
+  assert(!p.cache.summaries[b], "the kept chapter's summary is dropped");
+  assertEqual(p.chapters[b].text, "Five.\n\n* * *\n\nOne.\n\nTwo.");
+  assertEqual([p.chapters[b].tags, p.chapters[b].targetWords], [["storm", "harbour"], 1500]);
+  assert(!p.chapters[a] && !p.revisions[a], "merged chapter removed");
+
+  const kept = p.chapters[b];
+  const moved = realignScenes(kept)[1].scene;
+  moved.pov = "Mara";
+  p.cache.summaries[b] = "Five. One. Two.";
+  p.cache.chapterFacts[b] = { hash: "x", facts: [] };
+  splitChapter(b);
+  const rest = p.chapters[p.chapterOrder[1]];
+  assertEqual([kept.text, rest.text], ["Five.", "One.\n\nTwo."], "the scene break at the cut is dropped");
+  assertEqual([kept.scenes.length, rest.scenes.map(x => x.id)], [1, [moved.id]], "scenes follow their text");
+  assertEqual(rest.scenes[0].pov, "Mara");
+  assert(!p.cache.summaries[b] && !p.cache.chapterFacts[b], "caches of the split chapter dropped");
+});
+
+selfTest("parseBookPlan accepts fenced JSON and fills missing fields", () => {
+  const plan = parseBookPlan('Here you go:\n```json\n{"title":"Tides","numChapters":"3","chapterTitles":["One"]}\n```');
+  assertEqual(plan.title, "Tides");
+  assertEqual(plan.numChapters, 3);
+  assertEqual(plan.chapterTitles, ["One", "Chapter 2", "Chapter 3"]);
+  assertEqual(plan.targetWordCount, 60000);
+  assertEqual(plan.fromDefaults, false);
+
+  const bad = parseBookPlan('{"title": "Tides", "numChap');
+  assertEqual(bad.fromDefaults, true);
+  assertEqual(bad.numChapters, 20);
+  assertEqual(bad.chapterTitles.length, 20);
+});
+
+selfTest("generateBookFromPlan builds and writes the mock plan", async (st) => {
+  getActive().p.plannerChat.push({ role: "user", content: "A quiet novel about a lighthouse." });
+  let running = null;
+  window.confirm = () => { running = [...jobs.values()].map(j => j.name); return true; };
+  await generateBookFromPlan();
+  assertEqual(running, [], "the extraction job is finished before the write is offered");
+  assertEqual(jobs.size, 0);
+  const p = st.projects[st.activeProjectId];
+  assertEqual(p.title, "Mock Book");
+  assertEqual(p.chapterOrder.map(cid => p.chapters[cid].title), ["Arrival", "The Storm", "Home"]);
+  assert(p.chapterOrder.every(cid => p.chapters[cid].text.startsWith("- Mock reply")), "every chapter written");
+  // plan extraction + 3 chapters + 2 summaries
+  assertEqual(mockAI.calls.length, 6, "requests");
+});
+
+selfTest("malformed plan JSON falls back to the default plan", async (st) => {
+  st.settings.mock.malformedJson = true;
+  window.confirm = () => false; // don't write the 20 chapters
+  getActive().p.plannerChat.push({ role: "user", content: "Something long." });
+  await generateBookFromPlan();
+  const p = st.projects[st.activeProjectId];
+  assertEqual(p.title, "Untitled Book");
+  assertEqual(p.chapterOrder.length, 20);
+});
+
+selfTest("prompt overrides: project beats global beats built-in", async (st) => {
+  const { p, c } = getActive();
+  c.title = "The Storm";
+  assertEqual(promptMessages("lineEdit", { selection: "abc" })[1].content, "Line edit this. Keep meaning. Return only improved text.\n\nabc");
+  st.settings.prompts = { lineEdit: { versions: [{ at: 1, system: "G", user: "Global {{selection}}" }] } };
+  assertEqual(promptMessages("lineEdit", { selection: "abc" })[1].content, "Global abc");
+  p.prompts = { lineEdit: { versions: [{ at: 2, system: "", user: "{{chapterTitle}}: {{selection}} {{unknown}}" }] } };
+  assertEqual(promptMessages("lineEdit", { selection: "abc" }), [{ role: "user", content: "The Storm: abc {{unknown}}" }]);
+
+  c.text = "A short chapter.";
+  await quickLineEdit();
+  assertEqual(mockAI.calls[0].messages, [{ role: "user", content: "The Storm: A short chapter. {{unknown}}" }], "line edit used the override");
+
+  assertEqual(promptMessages("lineEdit", { selection: "abc", context: "Mara: a sailor." })[0].content, "Mara: a sailor.\n\nThe Storm: abc {{unknown}}", "context pack added to an override without {{context}}");
+  p.prompts.lineEdit.versions.push({ at: 3, system: "{{context}}", user: "{{selection}}" });
+  assertEqual(promptMessages("lineEdit", { selection: "abc", context: "Mara: a sailor." }), [
+    { role: "system", content: "Mara: a sailor." },
+    { role: "user", content: "abc" }
+  ], "placed where the template asks for it");
+});
+
+selfTest("templates keep substituted text as is and the editor keeps unsaved edits", () => {
+  assertEqual(fillTemplate("{{a}}\n\n{{b}}\n\n\n{{c}}", { a: "", b: "  one\n\n\n\ntwo  ", c: "x" }), "  one\n\n\n\ntwo  \n\nx");
+  els("promptId").value = "lineEdit";
+  els("promptScope").value = "global";
+  renderPromptEditor();
+  els("promptUser").value = "unsaved edit";
+  renderAll();
+  assertEqual(els("promptUser").value, "unsaved edit");
+  els("promptScope").value = "project";
+  renderPromptEditor();
+  assertEqual(els("promptUser").value, PROMPT_DEFAULTS.lineEdit.user, "another scope loads its template");
+});
+
+selfTest("quick actions replace or insert at the captured range", async (st) => {
+  const ta = els("editor");
+  ta.value = "One. Two. Three.";
+  ta.dispatchEvent(new Event("input"));
+  ta.setSelectionRange(5, 9);
+  mockAI.script.push({ reply: "TWO!" });
+  await runQuickAction("qa-tense");
+  assertEqual(ta.value, "One. TWO! Three.");
+  assertEqual(mockAI.calls[0].messages[1].content.endsWith("Two."), true, "selection sent as {{input}}");
+
+  st.settings.quickActions.push({ id: "qa-test", name: "Test", template: "{{input}}", scope: "tail", tailWords: 1, output: "insert", provider: "mock", model: "mock-large" });
+  mockAI.script.push({ reply: "Four." });
+  await runQuickAction("qa-test");
+  assertEqual(getActive().c.text, "One. TWO! Three.\n\nFour.\n");
+  assertEqual(mockAI.calls[1].model, "mock-large", "the action's model reaches the provider");
+  assertEqual(st.usage.at(-1).model, "mock-large", "usage records the action's model");
+  assert(getActive().p.revisions[getActive().c.id].length >= 1, "revision saved before applying");
+});
+
+selfTest("a replace action on a long range rewrites every part and keeps the breaks", async () => {
+  const ta = els("editor");
+  ta.value = sampleProse(120);
+  ta.dispatchEvent(new Event("input"));
+  ta.setSelectionRange(0, ta.value.length);
+  const parts = paragraphChunks(ta.value, ACTION_CHUNK_TOKENS);
+  assert(parts.length > 2, "expected several requests");
+  assertEqual(parts.map(ch => ch.text + ch.sep).join(""), ta.value, "parts cover the range");
+  parts.forEach((_, i) => mockAI.script.push({ reply: `Part ${i + 1}.` }));
+  await runQuickAction("qa-tense");
+  assertEqual(mockAI.calls.length, parts.length);
+  assertEqual(ta.value, parts.map((_, i) => `Part ${i + 1}.`).join("\n\n"));
+});
+
+selfTest("context pack picks mentioned characters and fits the budget", (st) => {
+  const { p, c } = getActive();
+  const prev = crypto.randomUUID();
+  p.chapters[prev] = { id: prev, title: "The Harbour", text: "" };
+  p.chapterOrder.unshift(prev);
+  p.cache.summaries[prev] = "Mara reached the harbour at dusk.";
+  p.cache.styleGuide = "Past tense, close third person on Mara.";
+  p.cache.characterBible = JSON.stringify({ characters: [
+    { name: "Mara Quinn", role: "traveller" },
+    { name: "Tobias", role: "keeper" }
+  ] });
+
+  const pack = buildContextPack(p, c, "Mara looked at the sea.", 400);
+  assertEqual(pack.sections, ["styleGuide", "characters", "outline", "summaries"]);
+  assert(pack.text.includes("traveller") && !pack.text.includes("keeper"), "only Mara's entry");
+  assert(pack.text.includes("harbour at dusk"), "earlier summary included");
+  assert(pack.tokens <= 400 + 20, `pack is ${pack.tokens} tokens`);
+
+  const tiny = buildContextPack(p, c, "Mara looked at the sea.", 60);
+  assert(tiny.tokens <= 80, `tiny pack is ${tiny.tokens} tokens`);
+  assertEqual(buildContextPack(p, c, "x", 0).text, "");
+  assertEqual(characterEntries("Tobias: keeper of the light.\n\n## Mara — traveller").map(e => e.name), ["Tobias", "Mara"]);
+});
+
+selfTest("retrieval index finds relevant passages and re-indexes only edited chapters", async (st) => {
+  const { p, c } = getActive();
+  c.text = `${sampleProse(3)}\n\nThe lighthouse keeper trimmed the lamp wick and counted the ships.`;
+  const other = { id: crypto.randomUUID(), title: "Inland", text: "" };
+  p.chapters[other.id] = other;
+  p.chapterOrder.push(other.id);
+  other.text = "Wheat fields ran to the hills, and the miller sang while the stones turned.";
+
+  const hits = await retrievePassages(p, "who keeps the lighthouse lamp?", { k: 2 });
+  assert(hits.length && hits[0].cid === c.id && hits[0].text.includes("lighthouse"), "lighthouse passage ranks first");
+  assertEqual((await retrievePassages(p, "miller", { k: 3 })).map(h => h.cid), [other.id]);
+  assertEqual(await retrievePassages(p, "miller", { k: 3, skip: alreadyIn(`...\n${other.text}  and on.`) }), []);
+
+  const before = updateIndex(p).chapters.get(c.id);
+  other.text += "\n\nA lighthouse stood on no hill here.";
+  const idx = updateIndex(p);
+  assert(idx.chapters.get(c.id) === before, "unchanged chapter kept its chunks");
+  assert(idx.docs.some(d => d.cid === other.id && d.text.includes("no hill")), "edit indexed");
+});
+
+selfTest("embedding vectors are cached by chunk hash outside the project", async (st) => {
+  const { p, c } = getActive();
+  c.text = sampleProse(12);
+  const saved = { MLCEngine: window.MLCEngine, engine: embeddingEngine };
+  let embedded = 0;
+  window.MLCEngine = window.MLCEngine || function () {};
+  embeddingEngine = {
+    model: st.settings.embeddingModel,
+    engine: { embeddings: { create: async ({ input }) => { embedded += input.length; return { data: input.map(t => ({ embedding: [t.length, 1] })) }; } } }
+  };
+  try {
+    st.settings.retrievalEmbeddings = true;
+    await retrievePassages(p, "lighthouse keeper");
+    const chunks = new Set(updateIndex(p).docs.map(d => d.hash));
+    assertEqual(embedded, chunks.size + 1);
+    assertEqual([...store.vectors.keys()].sort(), [...chunks].sort());
+    assertEqual("embeddings" in p.cache, false, "vectors are not saved with the project");
+    await retrievePassages(p, "grey sea");
+    assertEqual(embedded, chunks.size + 2, "only the query is embedded again");
+  } finally {
+    window.MLCEngine = saved.MLCEngine;
+    embeddingEngine = saved.engine;
+  }
+  const old = { schemaVersion: 15, logs: [], projects: { x: { cache: { embeddings: { h: [1, 0] } } } } };
+  migrateState(old);
+  assertEqual(old.projects.x.cache.embeddings, undefined, "v16 drops vectors from the project cache");
+});
+
+selfTest("rate limits are retried after the server's delay and slow the limiter", async () => {
+  mockAI.script.push({ fail: "rate_limit", retryAfterMs: 30 });
+  const out = await withRetries(() => rate.schedule(() => callAI([{ role: "user", content: "hi" }], 50, { feature: "lineEdit" })), 2);
+  assert(out.startsWith("- Mock reply"), "reply after retry");
+  assertEqual(mockAI.calls.length, 2, "requests");
+  assert(rate.minIntervalMs > 0, "limiter interval raised");
+  rate = limiter();
+});
+
+selfTest("auth errors are not retried", async () => {
+  mockAI.script.push({ fail: "auth" });
+  const err = await withRetries(() => rate.schedule(() => callAI([{ role: "user", content: "hi" }], 50, { feature: "lineEdit" })), 2)
+    .then(() => null, e => e);
+  assertEqual(err?.kind, "auth");
+  assertEqual(mockAI.calls.length, 1, "requests");
+
+  let tries = 0;
+  const plain = await withRetries(async () => { tries++; throw new SyntaxError("Unexpected token"); }, 2).then(() => null, e => e);
+  assertEqual([plain?.name, tries], ["SyntaxError", 1], "an unclassified error is not retried");
+});
+
+selfTest("server errors give up after the retry budget", async () => {
+  mockAI.script.push({ fail: "server" }, { fail: "server" }, { fail: "server" });
+  const err = await withRetries(() => rate.schedule(() => callAI([{ role: "user", content: "hi" }], 50, { feature: "lineEdit" })), 1)
+    .then(() => null, e => e);
+  assertEqual(err?.kind, "server");
+  assertEqual(mockAI.calls.length, 2, "requests");
+});
+
+selfTest("cancelling a job aborts the in-flight call", async () => {
+  mockAI.script.push({ latencyMs: 5000 });
+  const job = startJob("Self-test");
+  const started = Date.now();
+  setTimeout(() => cancelJob(job.id), 20);
+  const err = await withRetries(() => job.schedule(() => callAI([{ role: "user", content: "hi" }], 50, { feature: "lineEdit", signal: job.signal })), 2, job.signal)
+    .then(() => null, e => e);
+  finishJob(job);
+  assert(isAbort(err), "expected AbortError");
+  assert(Date.now() - started < 2000, "cancel was not prompt");
+});
+
+async function runSelfTests() {
+  const out = els("selfTestOut");
+  const lines = [];
+  const show = (line) => {
+    lines.push(line);
+    out.textContent = lines.join("\n");
+  };
+  if (selfTesting) return toast("Self-tests are already running.");
+  if (jobs.size) return toast("Finish or cancel the running AI jobs before running self-tests.");
+  selfTesting = true;
+  els("btnRunSelfTests").disabled = true;
+  setStatus("Self-tests…");
+  let failed = 0;
+  try {
+    for (const t of SELF_TESTS) {
+      try {
+        await withSandbox(t.fn);
+        show(`PASS  ${t.name}`);
+      } catch (e) {
+        failed++;
+        show(`FAIL  ${t.name}\n      ${e?.message || e}`);
+      }
+    }
+  } finally {
+    selfTesting = false;
+    els("btnRunSelfTests").disabled = false;
+  }
+  show(`\n${SELF_TESTS.length - failed}/${SELF_TESTS.length} passed`);
+  document.title = `Author House self-tests: ${failed ? "FAIL" : "PASS"}`;
+  setStatus("Ready");
+  return failed;
+}
+
 /* -----------------------------
    Tabs
 --------------------------------*/
@@ -1309,8 +6552,29 @@ function initTabs() {
 /* -----------------------------
    App init
 --------------------------------*/
-function init() {
+async function init() {
+  try {
+    await store.load();
+  } catch (e) {
+    store.db = null; // don't overwrite records we couldn't read
+    if (e.code === "SCHEMA_TOO_NEW") {
+      setStatus("Update required");
+      downloadBlob(new Blob([JSON.stringify(e.backup, null, 2)], { type: "application/json" }), "author_house_backup.json");
+      alert(`${e.message}\n\nA backup of your data has been downloaded.`);
+      return;
+    }
+    log(`Could not load saved projects: ${String(e?.message || e)}`);
+    toast("Could not load saved projects (see logs).");
+  }
+  rate = limiter();
   initTabs();
+  initSync();
+
+  // Persist pending edits before the tab goes away
+  window.addEventListener("pagehide", () => { store.flush(); });
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") store.flush();
+  });
 
   // Book planner
   els("btnSendPlanner")?.addEventListener("click", sendPlannerMessage);
@@ -1328,17 +6592,54 @@ function init() {
   els("btnAutoChapters").onclick = autoSplitChapters;
   els("btnNewChapter").onclick = createChapter;
   els("chapterSelect").onchange = e => setActiveChapter(e.target.value);
+  els("sceneSelect").onchange = e => setActiveScene(e.target.value);
+  ["sceneTitle", "scenePov", "sceneLocation", "sceneStatus", "sceneSynopsis"].forEach(id => { els(id).onchange = saveSceneMeta; });
+  els("btnSceneUp").onclick = () => moveScene(-1);
+  els("btnSceneDown").onclick = () => moveScene(1);
+  els("btnSceneAdd").onclick = addScene;
+  els("btnSceneDelete").onclick = deleteScene;
+
+  // Ollama helper commands
+  els("btnCopyOllama1").onclick = () => copyText("ollama pull llama3.1");
+  els("btnCopyOllama2").onclick = () => copyText("ollama pull mistral");
+  els("btnCopyOllama3").onclick = () => copyText("ollama pull qwen2.5");
 
   // Import/export
   els("btnImportDocx").onclick = importDocx;
   els("btnExportDocx").onclick = exportDocx;
+  els("btnExportBundle").onclick = exportBundle;
+  els("btnImportBundle").onclick = importBundleAsNew;
+  els("btnMergeBundle").onclick = mergeBundleIntoCurrent;
+
+  // Quick actions
+  els("btnQuickEdit").onclick = quickLineEdit;
+  els("btnQuickContinue").onclick = quickContinue;
+  els("btnQuickSummary").onclick = quickSummaryFacts;
+
+  // Custom quick actions + command palette
+  els("actionSelect").onchange = loadActionForm;
+  els("btnSaveAction").onclick = saveQuickAction;
+  els("btnDeleteAction").onclick = deleteQuickAction;
+  els("btnPalette").onclick = openPalette;
+  els("paletteInput").oninput = () => { paletteIndex = 0; renderPalette(); };
+  els("paletteInput").onkeydown = onPaletteKey;
+  els("palette").onclick = (e) => { if (e.target === els("palette")) closePalette(); };
+  document.addEventListener("keydown", (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+      e.preventDefault();
+      els("palette").classList.contains("hidden") ? openPalette() : closePalette();
+    }
+  });
 
   // Write
   els("chapterTitle").oninput = e => updateChapterTitle(e.target.value);
   els("editor").oninput = e => updateChapterText(e.target.value);
   els("btnSelectAll").onclick = () => { els("editor").focus(); els("editor").select(); };
-  els("btnSnapshot").onclick = snapshot;
-  els("btnUndoSnapshot").onclick = restoreSnapshot;
+  els("btnSavePoint").onclick = savePoint;
+  els("btnRevCompare").onclick = compareRevision;
+  els("btnRevRestore").onclick = restoreRevision;
+  els("btnRevDelete").onclick = deleteRevision;
+  els("revisionList").onchange = () => els("revisionDiff").classList.add("hidden");
   els("btnApplyAi").onclick = applyAiInsert;
   els("btnReplaceSelection").onclick = applyAiReplaceSelection;
   els("btnClearAi").onclick = clearAiOutput;
@@ -1348,6 +6649,30 @@ function init() {
   els("btnBuildStyleGuide").onclick = buildStyleGuide;
   els("btnCharacterBible").onclick = buildCharacterBible;
 
+  els("btnContinuity").onclick = runContinuityCheck;
+
+  // Corkboard
+  els("corkFilter").onchange = renderCorkboard;
+  els("btnCorkSave").onclick = saveChapterMeta;
+  els("btnCorkOpen").onclick = () => corkSelected && showPassage(corkSelected);
+  els("btnCorkSplit").onclick = () => splitChapter();
+  els("btnCorkMerge").onclick = () => mergeWithNext();
+
+  // Timeline
+  els("btnTimelineExtract").onclick = extractTimeline;
+  els("btnTimelineNew").onclick = newTimelineEvent;
+  els("btnTimelineSave").onclick = saveTimelineEvent;
+  els("btnTimelineDelete").onclick = deleteTimelineEvent;
+  els("btnTimelineOpen").onclick = openTimelineChapter;
+
+  // Story bible
+  els("bibleFilter").onchange = renderBible;
+  els("bibleSearch").oninput = renderBible;
+  els("btnBibleRebuild").onclick = buildCharacterBible;
+  els("btnBibleNew").onclick = newBibleEntry;
+  els("btnBibleSave").onclick = saveBibleEntry;
+  els("btnBibleDelete").onclick = deleteBibleEntry;
+
   // Pipeline
   els("btnRunPipeline").onclick = runPipeline;
   els("btnDownloadPipeline").onclick = downloadPipeline;
@@ -1359,16 +6684,35 @@ function init() {
   els("btnSaveKeys").onclick = saveKeys;
   els("btnForgetKeys").onclick = forgetKeys;
   els("btnSavePerf").onclick = savePerf;
+  els("btnSaveBudget").onclick = saveBudget;
+  els("btnClearUsage").onclick = clearUsage;
+  els("usageScope").onchange = renderUsage;
+  els("btnRefreshOllama").onclick = refreshOllamaModels;
+  els("ollamaModel").onchange = saveOllamaModel;
+  els("btnRunSelfTests").onclick = runSelfTests;
+
+  // Prompt templates
+  els("promptId").onchange = () => renderPromptEditor();
+  els("promptScope").onchange = () => renderPromptEditor();
+  els("btnSavePrompt").onclick = savePrompt;
+  els("btnResetPrompt").onclick = resetPrompt;
+  els("btnRestorePrompt").onclick = restorePromptVersion;
+  els("btnExportPrompts").onclick = exportPrompts;
+  els("btnImportPrompts").onclick = importPrompts;
+
+  renderJobs();
 
   // Logs
   els("btnClearLogs").onclick = () => {
-    const st = store.get(); st.logs = []; store.set(st); renderLogs();
+    const st = store.get(); st.logs = []; store.set(st, "logs"); renderLogs();
   };
   els("btnExportLogs").onclick = exportLogs;
 
   renderAll();
   setStatus("Ready");
   log("App loaded");
+
+  if (location.hash === "#selftest") runSelfTests();
 }
 
 window.addEventListener("DOMContentLoaded", init);